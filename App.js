@@ -1,5 +1,8 @@
 import VolumeRenderer from './VolumeRenderer.js';
+import VolumeSlice from './VolumeSlice.js';
 import VolumeSamplers from './VolumeSamplers.js';
+import TransferFunction from './TransferFunction.js';
+import LabelLookupTable from './LabelLookupTable.js';
 
 import nifti from './nifti-reader.js';
 
@@ -24,11 +27,17 @@ export default class App {
     #renderer = null;
     #scene = null;
     #camera = null;
+    #perspectiveCamera = null;
+    #orthographicCamera = null;
     #orbitControls = null;
     #volumeRenderer = null;
+    #volumeSlice = null;
     #spinningCube = null;
     #directionalLight = null;
     #pointLight = null;
+    #spotLight = null;
+    #hemisphereLight = null;
+    #ambientLight = null;
     #renderTarget = null;
     #lastTime = null;
     #timeElement = null;
@@ -41,21 +50,37 @@ export default class App {
         this.#renderer = new THREE.WebGLRenderer({
             canvas: document.querySelector('canvas'),
         });
+        // Allow clipping planes on the volume material only
+        this.#renderer.localClippingEnabled = true;
 
         // Create the main scene object
         this.#scene = new THREE.Scene();
 
-        // Add lights
-        this.#directionalLight = new THREE.DirectionalLight();
+        // Add lights (with physically based intensities shared by the volume and the meshes)
+        this.#directionalLight = new THREE.DirectionalLight(0xffffff, Math.PI);
         this.#directionalLight.add(new THREE.Mesh(new THREE.SphereGeometry(0.03)));
         this.#directionalLight.visible = false;
         this.#scene.add(this.#directionalLight)
 
-        this.#pointLight = new THREE.PointLight(0xffffff, 1, 3);
+        this.#pointLight = new THREE.PointLight(0xffffff, 10, 3, 2);
         this.#pointLight.add(new THREE.Mesh(new THREE.SphereGeometry(0.03)));
         this.#pointLight.visible = false;
         this.#scene.add(this.#pointLight);
 
+        this.#spotLight = new THREE.SpotLight(0xffffff, 20, 6, Math.PI / 8, 0.3, 2);
+        this.#spotLight.position.set(0, 2.5, 0);
+        this.#spotLight.add(new THREE.Mesh(new THREE.SphereGeometry(0.03)));
+        this.#spotLight.visible = false;
+        this.#scene.add(this.#spotLight);
+
+        this.#hemisphereLight = new THREE.HemisphereLight(0x88bbff, 0x443322, 2);
+        this.#hemisphereLight.visible = false;
+        this.#scene.add(this.#hemisphereLight);
+
+        this.#ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+        this.#ambientLight.visible = false;
+        this.#scene.add(this.#ambientLight);
+
         // Create axes
         const axes = new THREE.AxesHelper(0.1);
         axes.position.set(-1, -1, -1);
@@ -80,24 +105,38 @@ export default class App {
         });
 
         // Create a perspective camera
-        this.#camera = new THREE.PerspectiveCamera(75, 1, 0.01, 10);
-        this.#camera.position.z = 2;
+        this.#perspectiveCamera = new THREE.PerspectiveCamera(75, 1, 0.01, 10);
+        this.#perspectiveCamera.position.z = 2;
+        this.#camera = this.#perspectiveCamera;
+
+        // Create an orthographic camera covering about the same view (the sides are set on resize)
+        this.#orthographicCamera = new THREE.OrthographicCamera(-1.5, 1.5, 1.5, -1.5, 0.01, 10);
+        this.#orthographicCamera.position.z = 2;
 
         // Create camera controls
         this.#orbitControls = new OrbitControls(this.#camera, this.#renderer.domElement);
         this.#orbitControls.enableDamping = true;
         this.#orbitControls.dampingFactor = 0.1;
 
-        // Create a background skybox
+        // Create a volume renderer
+        this.#volumeRenderer = new VolumeRenderer();
+        this.#scene.add(this.#volumeRenderer);
+
+        // Create a background skybox, which also lights the volume with environment lighting
         this.#scene.background = new THREE.CubeTextureLoader().load([
             './images/pisa/px.png', './images/pisa/nx.png',
             './images/pisa/py.png', './images/pisa/ny.png',
             './images/pisa/pz.png', './images/pisa/nz.png',
-        ]);
+        ], texture => {
+            this.#volumeRenderer.updateEnvironmentLighting(texture);
+        });
+        this.#scene.background.colorSpace = THREE.SRGBColorSpace;
 
-        // Create a volume renderer
-        this.#volumeRenderer = new VolumeRenderer();
-        this.#scene.add(this.#volumeRenderer);
+        // Create an oblique slice sharing the volume atlas
+        this.#volumeSlice = new VolumeSlice(this.#volumeRenderer);
+        this.#volumeSlice.scale.set(2, 2, 1);
+        this.#volumeSlice.visible = false;
+        this.#scene.add(this.#volumeSlice);
 
         const uniforms = this.#volumeRenderer.uniforms;
         uniforms.depthTexture.value = this.#renderTarget.depthTexture;
@@ -248,16 +287,48 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
             paletteMax: 1,
 
             useVolumetricDepthTest: false,
+            useProxyGeometry: false,
             useExtinctionCoefficient: true,
             useValueAsExtinctionCoefficient: false,
             usePointLights: false,
             useDirectionalLights: false,
+            useSpotLights: false,
+            useHemisphereLights: false,
+            useAmbientLights: false,
+            useEnvironmentLighting: false,
+            useSpecular: false,
             useRandomStart: true,
+            useEmptySpaceSkipping: false,
+            useGradientAtlas: false,
+            useEarlyRayTermination: false,
+            useSelfShadowing: false,
+            useScattering: false,
+            useEmission: false,
+            useClipSphere: false,
+            invertClipSphere: false,
+            useClipBox: false,
+            invertClipBox: false,
+            usePaletteOpacity: false,
+            useTransferFunction2D: false,
+            useVolumeColor: false,
+            valueChannel: 0,
+            fusionMode: 'composite',
+            labelMapMode: null,
+            tricubicFilter: null,
             renderMeanValue: false,
+            renderMaxValue: false,
+            renderMinValue: false,
+            renderIsosurface: false,
+            useSphereTracing: false,
             invertNormals: false,
             renderNormals: false,
 
             raySteps: 64,
+            isoRefinementSteps: 6,
+            shadowSteps: 16,
+            sphereTracingSteps: 128,
+            useFixedStepLength: false,
+            stepLengthInVoxels: false,
 
             functionPreset: 'Pulsing Sphere',
             useCustomFunction: false,
@@ -281,8 +352,51 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                     new THREE.Vector3(2 / resolution, 2 / resolution, 2 / resolution),
                     1
                 );
+                setUseVolumeColor(false);
                 this.#volumeRenderer.updateAtlasTexture((xi, yi, zi, x, y, z, t) => sampler(x, y, z) + 1);
+                createGradientAtlas();
             },
+
+            createColoredTorus: () => {
+                const geometry = new THREE.TorusKnotGeometry(0.5, 0.125);
+                const sampler = VolumeSamplers.createGeometrySdfSampler(geometry);
+                setUseCustomFunction(false, true);
+                const resolution = options.sampleResolution;
+                this.#volumeRenderer.createAtlasTexture(
+                    new THREE.Vector3(resolution, resolution, resolution),
+                    new THREE.Vector3(-1, -1, -1),
+                    new THREE.Vector3(2 / resolution, 2 / resolution, 2 / resolution),
+                    1,
+                    THREE.LinearFilter,
+                    8,
+                    4,
+                    3
+                );
+                // Color by position and store the distance in the alpha channel
+                this.#volumeRenderer.updateAtlasTexture((xi, yi, zi, x, y, z, t) =>
+                    [x * 0.5 + 0.5, y * 0.5 + 0.5, z * 0.5 + 0.5, sampler(x, y, z) + 1]);
+                setUseVolumeColor(true);
+                createGradientAtlas();
+            },
+        };
+
+        // Precompute the gradients of the loaded volume (the atlas is disposed of by createAtlasTexture)
+        const createGradientAtlas = () => {
+            if (options.useGradientAtlas && !options.useCustomFunction) {
+                this.#volumeRenderer.createGradientAtlasTexture(options.valueChannel);
+            }
+        };
+
+        // Use the RGB channels of RGBA atlases as color and the alpha channel as the value
+        // Call it after creating the atlas, whose occupancy and gradients are computed from the value channel
+        const setUseVolumeColor = use => {
+            if (options.useVolumeColor === use) {
+                return;
+            }
+            options.useVolumeColor = use;
+            options.valueChannel = use ? 3 : 0;
+            gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+            this.#volumeRenderer.updateMaterial(options);
         };
 
         // File
@@ -333,6 +447,7 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                 new THREE.Vector3(voxelSize.y, voxelSize.z, voxelSize.x),
                 timeCount
             );
+            setUseVolumeColor(false);
 
             const max = volume.reduce((a, x) => Math.max(a, slope * x + inter), 1e-6);
 
@@ -344,6 +459,7 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                     Math.floor(t) * size[1] * size[2] * size[3];
                 return (slope * volume[index] + inter) / max;
             });
+            createGradientAtlas();
 
             if (zeroValueAdded) {
                 uniforms.valueAdded.value =  0;
@@ -408,10 +524,12 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                 new THREE.Vector3(2 / resolution, 2 / resolution, 2 / resolution),
                 1
             );
+            setUseVolumeColor(false);
 
             this.#volumeRenderer.updateAtlasTexture((xi, yi, zi, x, y, z, t) => {
                 return samplers.reduce((v, sampler) => Math.min(v, sampler(x, y, z) + 1), Infinity);
             });
+            createGradientAtlas();
         };
 
         const fileFolder = gui.addFolder('File');
@@ -470,6 +588,10 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
             .name('Sample torus knot geometry')
             .domElement.title = 'Create and sample a torus geometry.';
 
+        fileFolder.add(options, 'createColoredTorus')
+            .name('Sample colored torus knot')
+            .domElement.title = 'Create and sample a torus geometry into an RGBA atlas colored by position.';
+
         // Custom function
         const glslTextarea = document.querySelector('.glsl');
         glslTextarea.value = functionPresets[options.functionPreset].trim();
@@ -491,6 +613,7 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                     1
                 );
                 options.customFunction = glslTextarea.value;
+                setUseVolumeColor(false);
             } else {
                 options.customFunction = null;
                 if (!skipLoadSample) {
@@ -536,9 +659,36 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
             .name('Time Scale');
         timescaleElement.domElement.title = 'Simulation time scale.';
 
+        // Create a palette with an opacity curve in the alpha channel (faint soft tissue and dense bone)
+        const tissueTransferFunction = new TransferFunction(
+            [
+                { position: 0, color: new THREE.Color().setRGB(0.6, 0.3, 0.2, THREE.SRGBColorSpace) },
+                { position: 0.8, color: new THREE.Color().setRGB(1, 0.86, 0.84, THREE.SRGBColorSpace) },
+                { position: 1, color: 0xffffff },
+            ],
+            [
+                { position: 0, opacity: 0 },
+                { position: 0.3, opacity: 0.02 },
+                { position: 0.6, opacity: 0.05 },
+                { position: 0.7, opacity: 1 },
+                { position: 1, opacity: 1 },
+            ],
+            'oklab',
+        );
+
         // Palette settings
-        const palettes = ['Viridis', 'Rainbow', 'Plasma', 'Hot', 'Gray', 'Smoke', 'White'];
+        const palettes = ['Viridis', 'Rainbow', 'Plasma', 'Hot', 'Gray', 'Smoke', 'White', 'Tissue'];
+        // Generated palettes are created once and reused whenever they are selected
+        const generatedPalettes = {
+            'Tissue': tissueTransferFunction.createTexture(),
+        };
         const setPalette = name => {
+            if (name in generatedPalettes) {
+                uniforms.palette.value = generatedPalettes[name];
+                this.#volumeRenderer.material.needsUpdate = true;
+                return;
+            }
+
             new THREE.TextureLoader().load(`./images/palettes/${name.toLowerCase()}.png`, texture => {
                 uniforms.palette.value = texture;
 
@@ -547,6 +697,28 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
         };
         setPalette(palettes[0]);
 
+        // Create a 2D transfer function which colors by value and emphasizes boundaries (high gradient magnitudes)
+        const createBoundaryTransferFunction = (width = 256, height = 64) => {
+            const data = new Uint8Array(width * height * 4);
+            const color = new THREE.Color();
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    color.setHSL(0.7 * (1 - x / (width - 1)), 0.8, 0.5);
+                    const i = (x + y * width) * 4;
+                    data[i] = color.r * 255;
+                    data[i + 1] = color.g * 255;
+                    data[i + 2] = color.b * 255;
+                    data[i + 3] = THREE.MathUtils.smoothstep(y / (height - 1), 0.1, 0.6) * 255;
+                }
+            }
+            const texture = new THREE.DataTexture(data, width, height);
+            texture.magFilter = THREE.LinearFilter;
+            texture.minFilter = THREE.LinearFilter;
+            texture.needsUpdate = true;
+            return texture;
+        };
+        uniforms.transferFunction2D.value = createBoundaryTransferFunction();
+
         const updatePaletteUniforms = () => {
             const cutMin = uniforms.minCutoffValue.value;
             const cutMax = uniforms.maxCutoffValue.value;
@@ -585,6 +757,15 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
         const valueAddedElement = folderPalette.add(uniforms.valueAdded, 'value', 0, 0.5, 0.01)
             .name('Value Added');
         valueAddedElement.domElement.title = 'Value added to sampled values.';
+        folderPalette.add(uniforms.minGradientMagnitude, 'value', 0, 10, 0.01)
+            .name('Min Gradient')
+            .domElement.title = 'Minimum gradient magnitude of the 2D transfer function.';
+        folderPalette.add(uniforms.maxGradientMagnitude, 'value', 0, 10, 0.01)
+            .name('Max Gradient')
+            .domElement.title = 'Maximum gradient magnitude of the 2D transfer function.';
+        folderPalette.add(uniforms.isoValue, 'value', 0, 3, 0.01)
+            .name('Iso Value')
+            .domElement.title = 'The value at which the isosurface is rendered.';
 
         // Opacity settings
         // The value 3.912 corresponds approximately to 98% opacity (~2% transmittance)
@@ -611,29 +792,100 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
         folderOpacity.add(uniforms.alphaMultiplier, 'value', 0, 4, 0.01)
             .name('Alpha Multiplier')
             .domElement.title = 'Multiplier applied to the final alpha value.';
+        folderOpacity.add(uniforms.opacityThreshold, 'value', 0.5, 1, 0.001)
+            .name('Opacity Threshold')
+            .domElement.title = 'Accumulated alpha at which rays stop marching (with early ray termination).';
 
         // Clipping planes
         const folderClip = gui.addFolder('Clipping planes');
 
         folderClip.add(uniforms.clipMin.value, 'x', -1, 1, 0.01)
             .name('Min X')
+            .onChange(() => this.#volumeRenderer.updateProxyGeometry())
             .domElement.title = 'Edit min X plane.';
         folderClip.add(uniforms.clipMax.value, 'x', -1, 1, 0.01)
             .name('Max X')
+            .onChange(() => this.#volumeRenderer.updateProxyGeometry())
             .domElement.title = 'Edit max X plane.';
         folderClip.add(uniforms.clipMin.value, 'y', -1, 1, 0.01)
             .name('Min Y')
+            .onChange(() => this.#volumeRenderer.updateProxyGeometry())
             .domElement.title = 'Edit min Y plane.';
         folderClip.add(uniforms.clipMax.value, 'y', -1, 1, 0.01)
             .name('Max Y')
+            .onChange(() => this.#volumeRenderer.updateProxyGeometry())
             .domElement.title = 'Edit max Y plane.';
         folderClip.add(uniforms.clipMin.value, 'z', -1, 1, 0.01)
             .name('Min Z')
+            .onChange(() => this.#volumeRenderer.updateProxyGeometry())
             .domElement.title = 'Edit min Z plane.';
         folderClip.add(uniforms.clipMax.value, 'z', -1, 1, 0.01)
             .name('Max Z')
+            .onChange(() => this.#volumeRenderer.updateProxyGeometry())
             .domElement.title = 'Edit max Z plane.';
 
+        // An oblique clipping plane kept by the volume material across updates
+        const obliquePlane = new THREE.Plane();
+        const obliqueClip = { enabled: false, angle: 45, offset: 0 };
+        const updateObliquePlane = () => {
+            const angle = THREE.MathUtils.degToRad(obliqueClip.angle);
+            obliquePlane.normal.set(Math.cos(angle), 0, Math.sin(angle));
+            obliquePlane.constant = obliqueClip.offset;
+            this.#volumeRenderer.material.clippingPlanes = obliqueClip.enabled ? [obliquePlane] : null;
+        };
+        folderClip.add(obliqueClip, 'enabled')
+            .name('Oblique Plane')
+            .onChange(updateObliquePlane)
+            .domElement.title = 'Clip the volume with an arbitrarily oriented THREE.Plane.';
+        folderClip.add(obliqueClip, 'angle', -180, 180, 1)
+            .name('Plane Angle')
+            .onChange(updateObliquePlane)
+            .domElement.title = 'Rotation of the oblique plane normal around the Y axis in degrees.';
+        folderClip.add(obliqueClip, 'offset', -1, 1, 0.01)
+            .name('Plane Offset')
+            .onChange(updateObliquePlane)
+            .domElement.title = 'Signed distance of the oblique plane from the origin.';
+
+        // Clip shapes
+        folderClip.add(options, 'useClipSphere')
+            .name('Clip Sphere')
+            .onChange(() => this.#volumeRenderer.updateMaterial(options))
+            .domElement.title = 'Clip the volume to a sphere.';
+        folderClip.add(options, 'invertClipSphere')
+            .name('Invert Sphere')
+            .onChange(() => this.#volumeRenderer.updateMaterial(options))
+            .domElement.title = 'Cut away the inside of the sphere instead.';
+        folderClip.add(uniforms.clipSphereRadius, 'value', 0, 2, 0.01)
+            .name('Sphere Radius')
+            .domElement.title = 'Radius of the clip sphere.';
+
+        const clipBox = new THREE.Object3D();
+        clipBox.position.set(0.5, 0.5, 0.5);
+        const clipBoxSettings = { size: 1, rotation: 0 };
+        const updateClipBox = () => {
+            clipBox.scale.setScalar(clipBoxSettings.size);
+            clipBox.rotation.set(0, THREE.MathUtils.degToRad(clipBoxSettings.rotation), 0);
+            clipBox.updateMatrixWorld();
+            uniforms.clipBoxMatrix.value.copy(clipBox.matrixWorld).invert();
+        };
+        updateClipBox();
+        folderClip.add(options, 'useClipBox')
+            .name('Clip Box')
+            .onChange(() => this.#volumeRenderer.updateMaterial(options))
+            .domElement.title = 'Clip the volume to an oriented box.';
+        folderClip.add(options, 'invertClipBox')
+            .name('Invert Box')
+            .onChange(() => this.#volumeRenderer.updateMaterial(options))
+            .domElement.title = 'Cut away the inside of the box instead (e.g. a corner cutaway).';
+        folderClip.add(clipBoxSettings, 'size', 0, 2, 0.01)
+            .name('Box Size')
+            .onChange(updateClipBox)
+            .domElement.title = 'Side length of the clip box.';
+        folderClip.add(clipBoxSettings, 'rotation', -180, 180, 1)
+            .name('Box Rotation')
+            .onChange(updateClipBox)
+            .domElement.title = 'Rotation of the clip box around the Y axis in degrees.';
+
         // Shader defines
         const folderDefine = gui.addFolder('Shader Options');
         folderDefine.add(options, 'useVolumetricDepthTest')
@@ -643,12 +895,31 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                 this.#volumeRenderer.updateMaterial(options);
             })
             .domElement.title = 'Enable volumetric depth testing.';
-        folderDefine.add(options, 'renderMeanValue')
-            .name('Mean Value')
+        folderDefine.add(options, 'useProxyGeometry')
+            .name('Proxy Geometry')
             .onChange(() => {
                 this.#volumeRenderer.updateMaterial(options);
             })
-            .domElement.title = 'Accumulate the mean value across the volume instead of alpha blending.';
+            .domElement.title = 'Rasterize the volume bounding box instead of a fullscreen quad.';
+        const renderModes = {
+            'Alpha Blending': null,
+            'Mean Value': 'renderMeanValue',
+            'Maximum Value (MIP)': 'renderMaxValue',
+            'Minimum Value (MinIP)': 'renderMinValue',
+            'Isosurface': 'renderIsosurface',
+            'Sphere Tracing (SDF)': 'useSphereTracing',
+        };
+        folderDefine.add({ renderMode: 'Alpha Blending' }, 'renderMode', Object.keys(renderModes))
+            .name('Render Mode')
+            .onChange(name => {
+                options.renderMeanValue = renderModes[name] === 'renderMeanValue';
+                options.renderMaxValue = renderModes[name] === 'renderMaxValue';
+                options.renderMinValue = renderModes[name] === 'renderMinValue';
+                options.renderIsosurface = renderModes[name] === 'renderIsosurface';
+                options.useSphereTracing = renderModes[name] === 'useSphereTracing';
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Alpha blend, project the mean, maximum or minimum value, or render an isosurface (by marching or sphere tracing).';
         folderDefine.add(options, 'useExtinctionCoefficient')
             .name('Extinction Coefficient')
             .onChange(() => {
@@ -675,12 +946,122 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                 this.#volumeRenderer.updateMaterial(options);
             })
             .domElement.title = 'Enable directional lighting in alpha blending.';
+        folderDefine.add(options, 'useSpotLights')
+            .name('Spot Lights')
+            .onChange(value => {
+                this.#spotLight.visible = value;
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Enable spot lighting.';
+        folderDefine.add(options, 'useHemisphereLights')
+            .name('Hemisphere Lights')
+            .onChange(value => {
+                this.#hemisphereLight.visible = value;
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Enable sky and ground hemisphere lighting.';
+        folderDefine.add(options, 'useAmbientLights')
+            .name('Ambient Lights')
+            .onChange(value => {
+                this.#ambientLight.visible = value;
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Enable ambient lighting, so regions facing away from the lights are not black.';
+        folderDefine.add(options, 'useEnvironmentLighting')
+            .name('Environment Lighting')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Enable image-based ambient lighting from the skybox.';
+        folderDefine.add(options, 'useSpecular')
+            .name('Specular')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Add Blinn-Phong specular highlights of the point, spot and directional lights.';
         folderDefine.add(options, 'useRandomStart')
             .name('Random Start')
             .onChange(() => {
                 this.#volumeRenderer.updateMaterial(options);
             })
             .domElement.title = "Whether to randomize the ray start position to 'fuzz' sharp edges.";
+        folderDefine.add(options, 'useEmptySpaceSkipping')
+            .name('Empty Space Skipping')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Whether to skip atlas bricks where no value passes the cutoff range.';
+        folderDefine.add(options, 'useGradientAtlas')
+            .name('Gradient Atlas')
+            .onChange(() => {
+                createGradientAtlas();
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Precompute central-difference gradients of the volume for cheaper and smoother normals.';
+        const tricubicFilters = {
+            'Trilinear': null,
+            'B-Spline': 'b-spline',
+            'Catmull-Rom': 'catmull-rom',
+        };
+        folderDefine.add({ tricubicFilter: 'Trilinear' }, 'tricubicFilter', Object.keys(tricubicFilters))
+            .name('Filter')
+            .onChange(name => {
+                options.tricubicFilter = tricubicFilters[name];
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Sample the volume with tricubic filtering to smooth low-resolution volumes, normals and isosurfaces.';
+        folderDefine.add(options, 'usePaletteOpacity')
+            .name('Palette Opacity')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Use the palette alpha channel as an opacity curve modulating the extinction (see the Tissue palette).';
+        folderDefine.add(options, 'useTransferFunction2D')
+            .name('2D Transfer Function')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Classify by value and gradient magnitude with a 2D transfer function emphasizing boundaries.';
+        folderDefine.add(options, 'useVolumeColor')
+            .name('Volume Color')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Use the sampled RGB channels of multi-channel atlases as color instead of the palette.';
+        folderDefine.add(options, 'valueChannel', { R: 0, G: 1, B: 2, A: 3 })
+            .name('Value Channel')
+            .onChange(() => {
+                if (!options.useCustomFunction) {
+                    this.#volumeRenderer.updateOccupancyAtlasTexture(options.valueChannel);
+                }
+                createGradientAtlas();
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'The atlas channel used as the value for cutoffs, extinction and surfaces.';
+        folderDefine.add(options, 'useEarlyRayTermination')
+            .name('Early Ray Termination')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Whether to stop alpha blending once the ray reaches the opacity threshold.';
+        folderDefine.add(options, 'useScattering')
+            .name('Scattering')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Shade alpha blending by single scattering of the lights instead of diffuse lighting.';
+        folderDefine.add(options, 'useEmission')
+            .name('Emission')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Emit the palette color inside the emission value range (with scattering).';
+        folderDefine.add(options, 'useSelfShadowing')
+            .name('Self Shadowing')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Attenuate the lights through the medium with shadow rays (alpha blending with lights and extinction).';
         folderDefine.add(options, 'invertNormals')
             .name('Invert normals')
             .onChange(() => {
@@ -706,6 +1087,33 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
         folderLight.add(this.#directionalLight.position, 'z', -2, 2, 0.1)
             .name('Position Z')
             .domElement.title = 'Directional light Z position.';
+        folderLight.add(uniforms.environmentIntensity, 'value', 0, 4, 0.01)
+            .name('Environment Intensity')
+            .domElement.title = 'Multiplier applied to the environment lighting of the skybox.';
+        folderLight.add(uniforms.shininess, 'value', 1, 200, 1)
+            .name('Shininess')
+            .domElement.title = 'Blinn-Phong specular exponent.';
+        folderLight.add(uniforms.specularStrength, 'value', 0, 2, 0.01)
+            .name('Specular Strength')
+            .domElement.title = 'Strength of the specular highlights.';
+
+        // Scattering and emission
+        const folderScattering = gui.addFolder('Scattering');
+        folderScattering.add(uniforms.scatteringAnisotropy, 'value', -0.99, 0.99, 0.01)
+            .name('Anisotropy')
+            .domElement.title = 'Henyey-Greenstein anisotropy (negative for back, positive for forward scattering).';
+        folderScattering.add(uniforms.scatteringAlbedo, 'value', 0, 1, 0.01)
+            .name('Albedo')
+            .domElement.title = 'Fraction of the extinction which scatters light instead of absorbing it.';
+        folderScattering.add(uniforms.minEmissionValue, 'value', 0, 1, 0.01)
+            .name('Min Emission Value')
+            .domElement.title = 'Value at which the emission starts.';
+        folderScattering.add(uniforms.maxEmissionValue, 'value', 0, 1, 0.01)
+            .name('Max Emission Value')
+            .domElement.title = 'Value at which the emission reaches full strength.';
+        folderScattering.add(uniforms.emissionMultiplier, 'value', 0, 20, 0.1)
+            .name('Emission Multiplier')
+            .domElement.title = 'Light emitted per local unit at full strength.';
 
         // Ray stepping
         const folderRay = gui.addFolder('Ray Stepping');
@@ -715,12 +1123,219 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
                 this.#volumeRenderer.updateMaterial(options);
             })
             .domElement.title = 'The number of steps to split the ray into across the volume (with a variable step size).';
+        folderRay.add(options, 'isoRefinementSteps', 0, 16, 1)
+            .name('Iso Refinement Steps')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'The number of bisection steps used to refine the isosurface hit.';
+        folderRay.add(options, 'shadowSteps', 1, 64, 1)
+            .name('Shadow Steps')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'The number of steps of each shadow ray toward a light.';
+        folderRay.add(options, 'sphereTracingSteps', 1, 512, 1)
+            .name('Sphere Tracing Steps')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'The maximum number of sphere tracing iterations.';
+        folderRay.add(uniforms.hitEpsilon, 'value', 0.0001, 0.05, 0.0001)
+            .name('Hit Epsilon')
+            .domElement.title = 'The signed distance below which a sphere traced surface is hit.';
+        folderRay.add(uniforms.distanceScale, 'value', 0.05, 2, 0.01)
+            .name('Distance Scale')
+            .domElement.title = 'Multiplier converting values into distances when sphere tracing (lower is safer for inexact distance fields).';
+        folderRay.add(options, 'useFixedStepLength')
+            .name('Fixed Step Length')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Use a constant step length instead (ray steps becomes the maximum step count).';
+        folderRay.add(options, 'stepLengthInVoxels')
+            .name('Step Length in Voxels')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Measure the fixed step length in voxels instead of local units.';
+        folderRay.add(uniforms.fixedStepLength, 'value', 0.005, 2, 0.005)
+            .name('Step Length')
+            .domElement.title = 'The constant step length used with a fixed step length.';
+
+        // Fused volume
+        const folderFused = gui.addFolder('Fused Volume');
+        const setUseFusedVolume = use => {
+            if (use) {
+                // Overlay a blob of high values (like a PET hot spot) with its own grid and palette
+                const resolution = 16;
+                const index = this.#volumeRenderer.addFusedVolume(
+                    new THREE.Vector3(resolution, resolution, resolution),
+                    new THREE.Vector3(-0.5, -0.5, -0.5),
+                    new THREE.Vector3(1 / (resolution - 1), 1 / (resolution - 1), 1 / (resolution - 1)),
+                    1
+                );
+                this.#volumeRenderer.updateFusedAtlasTexture(index, (xi, yi, zi, x, y, z, t) =>
+                    Math.exp(-(x * x + y * y + z * z) * 20));
+                new THREE.TextureLoader().load('./images/palettes/hot.png', texture => {
+                    uniforms.fusedPalettes.value[index] = texture;
+                });
+            } else {
+                this.#volumeRenderer.removeFusedVolume(0);
+            }
+            this.#volumeRenderer.updateMaterial(options);
+            updateFusedTransform();
+        };
+        folderFused.add({ useFusedVolume: false }, 'useFusedVolume')
+            .name('Fuse Hot Spot')
+            .onChange(setUseFusedVolume)
+            .domElement.title = 'Fuse a co-registered hot spot volume with its own grid and palette into the rendered volume.';
+        const fusedSettings = { offsetX: 0 };
+        const updateFusedTransform = () => {
+            // Move the hot spot independently of the primary volume (the rays reach it outside the primary volume)
+            const fusedVolume = uniforms.fusedVolumes.value[0];
+            if (fusedVolume) {
+                fusedVolume.volumeMatrix.makeTranslation(-fusedSettings.offsetX, 0, 0);
+                this.#volumeRenderer.updateProxyGeometry();
+            }
+        };
+        folderFused.add(fusedSettings, 'offsetX', -2, 2, 0.01)
+            .name('Hot Spot Offset')
+            .onChange(updateFusedTransform)
+            .domElement.title = 'Move the hot spot along the X axis, also outside the primary volume.';
+        folderFused.add(options, 'fusionMode', ['composite', 'additive', 'max'])
+            .name('Fusion Mode')
+            .onChange(() => {
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Alpha composite, add or take the maximum of the volumes at each step.';
+
+        // Label map
+        const folderLabels = gui.addFolder('Label Map');
+        const labelLookupTable = new LabelLookupTable([
+            { label: 1, color: '#4d94ff' },
+            { label: 2, color: '#ffd24d' },
+            { label: 3, color: '#ff4d4d' },
+        ]);
+        uniforms.labelLookupTable.value = labelLookupTable.createTexture();
+        const labelMapModes = {
+            'None': null,
+            'Labels': 'labels',
+            'Mask': 'mask',
+            'Tint': 'tint',
+        };
+        folderLabels.add({ labelMapMode: 'None' }, 'labelMapMode', Object.keys(labelMapModes))
+            .name('Label Map Mode')
+            .onChange(name => {
+                options.labelMapMode = labelMapModes[name];
+                this.#volumeRenderer.updateMaterial(options);
+            })
+            .domElement.title = 'Render the atlas as labels, or mask or tint the volume by the shell labels.';
+        folderLabels.add({ createLabels: () => {
+            // Label spherical shells around the volume center
+            this.#volumeRenderer.createLabelAtlasTexture();
+            this.#volumeRenderer.updateLabelAtlasTexture((xi, yi, zi, x, y, z, t) => {
+                const radius = Math.sqrt(x * x + y * y + z * z);
+                return radius < 0.3 ? 1 : radius < 0.6 ? 2 : radius < 0.9 ? 3 : 0;
+            });
+        }}, 'createLabels')
+            .name('Create shell labels')
+            .domElement.title = 'Label spherical shells of the loaded volume for masking or tinting (recreate after loading).';
+        for (const label of [1, 2, 3]) {
+            folderLabels.add({ visible: true }, 'visible')
+                .name(`Label ${label} Visible`)
+                .onChange(visible => {
+                    labelLookupTable.setVisible(label, visible);
+                    labelLookupTable.updateTexture(uniforms.labelLookupTable.value);
+                })
+                .domElement.title = `Show or hide label ${label}.`;
+        }
+
+        // Oblique slice
+        const folderSlice = gui.addFolder('Slice');
+        const sliceSettings = { offset: 0, tiltX: 30, tiltY: 30 };
+        const sliceOptions = { slabMode: null };
+        const updateSlice = () => {
+            const slice = this.#volumeSlice;
+            slice.rotation.set(THREE.MathUtils.degToRad(sliceSettings.tiltX), THREE.MathUtils.degToRad(sliceSettings.tiltY), 0);
+            slice.position.set(0, 0, sliceSettings.offset).applyEuler(slice.rotation);
+        };
+        updateSlice();
+        folderSlice.add(this.#volumeSlice, 'visible')
+            .name('Show Slice')
+            .onChange(() => {
+                this.#volumeSlice.updateMaterial({ ...sliceOptions, valueChannel: options.valueChannel });
+            })
+            .domElement.title = 'Show an oblique slice through the loaded volume atlas (not the custom function).';
+        folderSlice.add(sliceSettings, 'offset', -1.5, 1.5, 0.01)
+            .name('Offset')
+            .onChange(updateSlice)
+            .domElement.title = 'Distance of the slice from the volume center along its normal.';
+        folderSlice.add(sliceSettings, 'tiltX', -90, 90, 1)
+            .name('Tilt X')
+            .onChange(updateSlice)
+            .domElement.title = 'Rotation of the slice around the X axis in degrees.';
+        folderSlice.add(sliceSettings, 'tiltY', -90, 90, 1)
+            .name('Tilt Y')
+            .onChange(updateSlice)
+            .domElement.title = 'Rotation of the slice around the Y axis in degrees.';
+        const slabModes = {
+            'Thin Slice': null,
+            'Mean': 'mean',
+            'Maximum (MIP)': 'max',
+            'Minimum (MinIP)': 'min',
+        };
+        folderSlice.add({ slabMode: 'Thin Slice' }, 'slabMode', Object.keys(slabModes))
+            .name('Slab Mode')
+            .onChange(name => {
+                sliceOptions.slabMode = slabModes[name];
+                this.#volumeSlice.updateMaterial({ ...sliceOptions, valueChannel: options.valueChannel });
+            })
+            .domElement.title = 'Reduce the values across a thick slab into one value.';
+        folderSlice.add(this.#volumeSlice.uniforms.slabThickness, 'value', 0, 1, 0.01)
+            .name('Slab Thickness')
+            .domElement.title = 'World-space thickness of the slab.';
+
+        // Volume transform
+        const folderTransform = gui.addFolder('Transform');
+        const transformSettings = { rotationX: 0, rotationY: 0, scale: 1 };
+        const updateTransform = () => {
+            this.#volumeRenderer.rotation.set(
+                THREE.MathUtils.degToRad(transformSettings.rotationX),
+                THREE.MathUtils.degToRad(transformSettings.rotationY),
+                0);
+            this.#volumeRenderer.scale.setScalar(transformSettings.scale);
+        };
+        folderTransform.add(transformSettings, 'rotationX', -180, 180, 1)
+            .name('Rotation X')
+            .onChange(updateTransform)
+            .domElement.title = 'Rotation of the volume renderer object around the X axis in degrees.';
+        folderTransform.add(transformSettings, 'rotationY', -180, 180, 1)
+            .name('Rotation Y')
+            .onChange(updateTransform)
+            .domElement.title = 'Rotation of the volume renderer object around the Y axis in degrees.';
+        folderTransform.add(transformSettings, 'scale', 0.1, 3, 0.01)
+            .name('Scale')
+            .onChange(updateTransform)
+            .domElement.title = 'Uniform scale of the volume renderer object.';
 
         // Other settings
         const folderOther = gui.addFolder('Other Settings');
         const controlEpsilon = folderOther.add(uniforms.normalEpsilon, 'value', 0.001, 0.1, 0.01)
             .name('Normal Epsilon');
         controlEpsilon.domElement.title = 'The real-unit epsilon used when estimating the forward difference for normals.';
+        folderOther.add({ orthographic: false }, 'orthographic')
+            .name('Orthographic Camera')
+            .onChange(orthographic => {
+                // Keep the view when switching cameras
+                const camera = orthographic ? this.#orthographicCamera : this.#perspectiveCamera;
+                camera.position.copy(this.#camera.position);
+                camera.quaternion.copy(this.#camera.quaternion);
+                this.#camera = camera;
+                this.#orbitControls.object = camera;
+                this.#orbitControls.update();
+            })
+            .domElement.title = 'Render with parallel rays, e.g. for CAD-style or medical views.';
 
         // For calculating delta time
         this.#lastTime = null;
@@ -741,8 +1356,12 @@ return 0.5 * log(r) * r / dr * 10.0 + 1.0;
         this.#renderTarget.setSize(window.innerWidth, window.innerHeight);
 
         // Reset camera aspect and matrices
-        this.#camera.aspect = window.innerWidth / window.innerHeight;
-        this.#camera.updateProjectionMatrix();
+        const aspect = window.innerWidth / window.innerHeight;
+        this.#perspectiveCamera.aspect = aspect;
+        this.#perspectiveCamera.updateProjectionMatrix();
+        this.#orthographicCamera.left = -1.5 * aspect;
+        this.#orthographicCamera.right = 1.5 * aspect;
+        this.#orthographicCamera.updateProjectionMatrix();
     }
 
     #update(time) {
@@ -0,0 +1,116 @@
+import * as THREE from './three.js/three.module.min.js';
+
+export default class LabelLookupTable {
+    #labels = new Map();
+
+    /**
+     * Creates a lookup table giving integer labels of a label map their color, opacity and visibility.
+     * Labels which are not in the table (like the background label 0 by default) are hidden.
+     *
+     * @param {Array<{label: number, color: THREE.ColorRepresentation, opacity?: number, visible?: boolean}>} [labels=[]]
+     *   The labels. Colors are interpreted as sRGB (like palette images).
+     */
+    constructor(labels = []) {
+        for (const { label, color, opacity, visible } of labels) {
+            this.setLabel(label, color, opacity, visible);
+        }
+    }
+
+    /**
+     * The largest label in the table, or -1 if the table is empty.
+     *
+     * @type {number}
+     */
+    get maxLabel() {
+        return Math.max(-1, ...this.#labels.keys());
+    }
+
+    /**
+     * Adds or replaces a label.
+     *
+     * @param {number}                     label        The non-negative integer label.
+     * @param {THREE.ColorRepresentation}  color        The label color.
+     * @param {number}                     [opacity=1]  The label opacity in the [0, 1] range.
+     * @param {boolean}                    [visible=true] Whether the label is visible.
+     */
+    setLabel(label, color, opacity = 1, visible = true) {
+        if (!Number.isInteger(label) || label < 0) {
+            throw new Error(`Invalid label ${label}`);
+        }
+
+        const srgb = { r: 0, g: 0, b: 0 };
+        new THREE.Color(color).getRGB(srgb, THREE.SRGBColorSpace);
+        this.#labels.set(label, { rgb: [srgb.r, srgb.g, srgb.b], opacity, visible });
+    }
+
+    /**
+     * Shows or hides a label.
+     *
+     * @param {number}  label   The label.
+     * @param {boolean} visible Whether the label is visible.
+     */
+    setVisible(label, visible) {
+        const entry = this.#labels.get(label);
+        if (entry === undefined) {
+            throw new Error(`Unknown label ${label}`);
+        }
+
+        entry.visible = visible;
+    }
+
+    /**
+     * Removes a label, hiding it.
+     *
+     * @param {number} label The label.
+     */
+    removeLabel(label) {
+        this.#labels.delete(label);
+    }
+
+    /**
+     * Creates a horizontal RGBA lookup table texture usable as VolumeRenderer.uniforms.labelLookupTable.
+     * The texel at the index of each label stores its color and opacity (zero if hidden).
+     *
+     * @param {number} [width] The number of texels. Defaults to the largest label plus one.
+     * @returns {THREE.DataTexture}
+     */
+    createTexture(width = this.maxLabel + 1) {
+        width = Math.max(width, 1);
+
+        const texture = new THREE.DataTexture(new Uint8Array(width * 4), width, 1);
+        texture.format = THREE.RGBAFormat;
+        texture.type = THREE.UnsignedByteType;
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+
+        return this.updateTexture(texture);
+    }
+
+    /**
+     * Writes the labels into an existing lookup table texture created by createTexture.
+     *
+     * @param {THREE.DataTexture} texture The lookup table texture to update.
+     * @returns {THREE.DataTexture} The updated texture.
+     */
+    updateTexture(texture) {
+        const { data, width } = texture.image;
+        if (this.maxLabel >= width) {
+            throw new Error(`Label ${this.maxLabel} does not fit in a lookup table of width ${width}`);
+        }
+
+        data.fill(0);
+        for (const [label, { rgb, opacity, visible }] of this.#labels) {
+            data[label * 4] = Math.round(rgb[0] * 255);
+            data[label * 4 + 1] = Math.round(rgb[1] * 255);
+            data[label * 4 + 2] = Math.round(rgb[2] * 255);
+            data[label * 4 + 3] = visible ? Math.round(THREE.MathUtils.clamp(opacity, 0, 1) * 255) : 0;
+        }
+
+        // Force texture update
+        texture.needsUpdate = true;
+
+        return texture;
+    }
+}
@@ -0,0 +1,251 @@
+import * as THREE from './three.js/three.module.min.js';
+
+// Supported color interpolation spaces
+const colorSpaces = ['rgb', 'lab', 'oklab'];
+
+// D65 reference white used by CIELAB
+const whiteX = 0.95047;
+const whiteY = 1.0;
+const whiteZ = 1.08883;
+
+const srgbToLinear = c => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+const linearToSrgb = c => c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+
+const labF = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+const labFInverse = t => t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+
+// Convert sRGB components to the interpolation color space
+const fromSrgb = ([r, g, b], colorSpace) => {
+    if (colorSpace === 'rgb') {
+        return [r, g, b];
+    }
+
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    if (colorSpace === 'lab') {
+        const fx = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / whiteX);
+        const fy = labF((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / whiteY);
+        const fz = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / whiteZ);
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+    ];
+};
+
+// Convert components in the interpolation color space back to clamped sRGB components
+const toSrgb = ([c0, c1, c2], colorSpace) => {
+    if (colorSpace === 'rgb') {
+        return [c0, c1, c2].map(c => THREE.MathUtils.clamp(c, 0, 1));
+    }
+
+    let lr, lg, lb;
+    if (colorSpace === 'lab') {
+        const fy = (c0 + 16) / 116;
+        const x = labFInverse(fy + c1 / 500) * whiteX;
+        const y = labFInverse(fy) * whiteY;
+        const z = labFInverse(fy - c2 / 200) * whiteZ;
+        lr = 3.2404542 * x - 1.5371385 * y - 0.4985314 * z;
+        lg = -0.9692660 * x + 1.8760108 * y + 0.0415560 * z;
+        lb = 0.0556434 * x - 0.2040259 * y + 1.0572252 * z;
+    } else {
+        const l = Math.pow(c0 + 0.3963377774 * c1 + 0.2158037573 * c2, 3);
+        const m = Math.pow(c0 - 0.1055613458 * c1 - 0.0638541728 * c2, 3);
+        const s = Math.pow(c0 - 0.0894841775 * c1 - 1.2914855480 * c2, 3);
+        lr = 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s;
+        lg = -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s;
+        lb = -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s;
+    }
+
+    return [lr, lg, lb].map(c => THREE.MathUtils.clamp(linearToSrgb(Math.max(c, 0)), 0, 1));
+};
+
+// Find the two stops surrounding a position and the interpolation factor between them
+const findStops = (stops, position) => {
+    if (position <= stops[0].position) {
+        return [stops[0], stops[0], 0];
+    }
+
+    for (let i = 1; i < stops.length; i++) {
+        if (position <= stops[i].position) {
+            const range = stops[i].position - stops[i - 1].position;
+            return [stops[i - 1], stops[i], range > 0 ? (position - stops[i - 1].position) / range : 1];
+        }
+    }
+
+    const last = stops[stops.length - 1];
+    return [last, last, 0];
+};
+
+export default class TransferFunction {
+    #colorStops = [];
+    #opacityStops = [];
+    #colorSpace = 'rgb';
+
+    /**
+     * Creates a transfer function from color and opacity control points.
+     * Positions are normalized palette coordinates in the [0, 1] range.
+     *
+     * @param {Array<{position: number, color: THREE.ColorRepresentation}>} colorStops
+     *   The color control points. Colors are interpreted as sRGB (like palette images).
+     * @param {Array<{position: number, opacity: number}>} [opacityStops=[]]
+     *   The opacity control points. Without any stops the opacity is 1.
+     * @param {string} [colorSpace='rgb']
+     *   The color interpolation space: 'rgb', or the perceptual 'lab' (CIELAB) or 'oklab' (Oklab).
+     */
+    constructor(colorStops, opacityStops = [], colorSpace = 'rgb') {
+        this.setColorStops(colorStops);
+        this.setOpacityStops(opacityStops);
+        this.colorSpace = colorSpace;
+    }
+
+    /**
+     * The color interpolation space ('rgb', 'lab' or 'oklab').
+     *
+     * @type {string}
+     */
+    get colorSpace() {
+        return this.#colorSpace;
+    }
+
+    set colorSpace(colorSpace) {
+        if (!colorSpaces.includes(colorSpace)) {
+            throw new Error(`Unsupported color space ${colorSpace}`);
+        }
+
+        this.#colorSpace = colorSpace;
+    }
+
+    /**
+     * Replaces the color control points.
+     *
+     * @param {Array<{position: number, color: THREE.ColorRepresentation}>} colorStops The color control points.
+     */
+    setColorStops(colorStops) {
+        if (colorStops.length === 0) {
+            throw new Error('Expected at least one color stop');
+        }
+
+        const color = new THREE.Color();
+        this.#colorStops = colorStops
+            .map(stop => {
+                color.set(stop.color);
+                const srgb = { r: 0, g: 0, b: 0 };
+                color.getRGB(srgb, THREE.SRGBColorSpace);
+                return { position: stop.position, rgb: [srgb.r, srgb.g, srgb.b] };
+            })
+            .sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Replaces the opacity control points.
+     *
+     * @param {Array<{position: number, opacity: number}>} opacityStops The opacity control points.
+     */
+    setOpacityStops(opacityStops) {
+        this.#opacityStops = opacityStops
+            .map(stop => ({ position: stop.position, opacity: stop.opacity }))
+            .sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Samples the transfer function.
+     *
+     * @param {number} position The normalized position in the [0, 1] range.
+     * @returns {number[]} The sRGB color and opacity as [r, g, b, a] in the [0, 1] range.
+     */
+    sample(position) {
+        const [color0, color1, colorT] = findStops(this.#colorStops, position);
+        const c0 = fromSrgb(color0.rgb, this.#colorSpace);
+        const c1 = fromSrgb(color1.rgb, this.#colorSpace);
+        const rgb = toSrgb(c0.map((c, i) => c + (c1[i] - c) * colorT), this.#colorSpace);
+
+        let opacity = 1;
+        if (this.#opacityStops.length > 0) {
+            const [opacity0, opacity1, opacityT] = findStops(this.#opacityStops, position);
+            opacity = opacity0.opacity + (opacity1.opacity - opacity0.opacity) * opacityT;
+        }
+
+        return [...rgb, THREE.MathUtils.clamp(opacity, 0, 1)];
+    }
+
+    /**
+     * Creates a horizontal RGBA palette texture usable as VolumeRenderer.uniforms.palette.
+     * The alpha channel stores the opacity curve (see the usePaletteOpacity option).
+     *
+     * @param {number} [width=256] The number of palette texels.
+     * @returns {THREE.DataTexture}
+     */
+    createTexture(width = 256) {
+        const texture = new THREE.DataTexture(new Uint8Array(width * 4), width, 1);
+        texture.format = THREE.RGBAFormat;
+        texture.type = THREE.UnsignedByteType;
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+
+        return this.updateTexture(texture);
+    }
+
+    /**
+     * Samples the transfer function into an existing palette texture created by createTexture.
+     *
+     * @param {THREE.DataTexture} texture The palette texture to update.
+     * @returns {THREE.DataTexture} The updated texture.
+     */
+    updateTexture(texture) {
+        const { data, width } = texture.image;
+
+        for (let x = 0; x < width; x++) {
+            const rgba = this.sample(width > 1 ? x / (width - 1) : 0);
+            for (let c = 0; c < 4; c++) {
+                data[x * 4 + c] = Math.round(rgba[c] * 255);
+            }
+        }
+
+        // Force texture update
+        texture.needsUpdate = true;
+
+        return texture;
+    }
+
+    /**
+     * Serializes the transfer function into a JSON compatible object.
+     *
+     * @returns {object} An object containing:
+     *   - colorSpace: The color interpolation space.
+     *   - colorStops: The color control points with colors as sRGB hex strings.
+     *   - opacityStops: The opacity control points.
+     */
+    toJSON() {
+        const color = new THREE.Color();
+        return {
+            colorSpace: this.#colorSpace,
+            colorStops: this.#colorStops.map(stop => ({
+                position: stop.position,
+                color: '#' + color.setRGB(...stop.rgb, THREE.SRGBColorSpace).getHexString(THREE.SRGBColorSpace),
+            })),
+            opacityStops: this.#opacityStops.map(stop => ({ ...stop })),
+        };
+    }
+
+    /**
+     * Creates a transfer function from an object created by toJSON (or its JSON string).
+     *
+     * @param {object|string} json The serialized transfer function.
+     * @returns {TransferFunction}
+     */
+    static fromJSON(json) {
+        const { colorStops, opacityStops = [], colorSpace = 'rgb' } = typeof json === 'string' ? JSON.parse(json) : json;
+        return new TransferFunction(colorStops, opacityStops, colorSpace);
+    }
+}
@@ -1,22 +1,105 @@
 import * as THREE from './three.js/three.module.min.js';
 
+// The supported fusion modes of fused volumes (the index is the FUSION_MODE define)
+const fusionModes = ['composite', 'additive', 'max'];
+
+// The supported label map modes (the index plus one is the LABEL_MAP_MODE define)
+const labelMapModes = ['labels', 'mask', 'tint'];
+
+// The supported tricubic filters (the index plus one is the TRICUBIC_FILTER define)
+const tricubicFilters = ['b-spline', 'catmull-rom'];
+
+// The atlas addressing shared by the shaders sampling volume atlases (e.g. VolumeSlice)
+export const atlasShaderChunk = `
+// Calculate the UV offset of a volume (timestep) inside an atlas
+vec3 getVolumeUvOffset(int volumeIndex, vec3 resolution) {
+    int resolutionX = int(resolution.x);
+    int resolutionY = int(resolution.y);
+
+    int volumeX = volumeIndex % resolutionX;
+    int volumeY = (volumeIndex / resolutionX) % resolutionY;
+    int volumeZ = volumeIndex / (resolutionX * resolutionY);
+
+    return vec3(float(volumeX), float(volumeY), float(volumeZ)) / resolution;
+}
+
+// Calculate the UV offsets of the two volumes (timesteps) around a fractional volume index, and the interpolation factor between them
+float getTimeUvOffsets(float time, float timeCount, vec3 atlasResolution, out vec3 uvOffset0, out vec3 uvOffset1) {
+    int volumeIndex0 = int(time) % int(timeCount);
+    int volumeIndex1 = (volumeIndex0 + 1) % int(timeCount);
+
+    uvOffset0 = getVolumeUvOffset(volumeIndex0, atlasResolution);
+    uvOffset1 = getVolumeUvOffset(volumeIndex1, atlasResolution);
+    return fract(time);
+}
+
+// Calculate the atlas UV coordinate of a voxel position (relative to the first voxel center) inside a volume of an atlas
+vec3 getAtlasUv(vec3 uvOffset, vec3 volumeVoxel, vec3 volumeResolution, vec3 atlasResolution) {
+    return uvOffset + (volumeVoxel + 0.5) / volumeResolution / atlasResolution;
+}
+`;
+
 const vertexShader = `
+#if USE_PROXY_GEOMETRY
+varying vec4 vClipPosition;
+#else
 varying vec2 vUv;
+#endif
 varying float near;
 varying float far;
-varying mat4 invProjView;
+varying mat4 invProjModelView;
+varying mat4 invModelView;
 
 void main() {
+#if USE_PROXY_GEOMETRY
+    // Rasterize the bounding box of the volume (the screen position is derived in the fragment shader)
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    vClipPosition = gl_Position;
+#else
     // Fullscreen quad
     gl_Position = vec4(position.xy, 0.0, 1.0);
     vUv = uv;
-    near = projectionMatrix[3][2] / (projectionMatrix[2][2] - 1.0);
-    far = projectionMatrix[3][2] / (projectionMatrix[2][2] + 1.0);
-    invProjView = inverse(projectionMatrix * viewMatrix);
+#endif
+    // Extract the near and far planes from the projection matrix
+    if (isOrthographic) {
+        near = (projectionMatrix[3][2] + 1.0) / projectionMatrix[2][2];
+        far = (projectionMatrix[3][2] - 1.0) / projectionMatrix[2][2];
+    } else {
+        near = projectionMatrix[3][2] / (projectionMatrix[2][2] - 1.0);
+        far = projectionMatrix[3][2] / (projectionMatrix[2][2] + 1.0);
+    }
+
+    // Rays are cast in the local space of the object, so the volume follows the object transform
+    invProjModelView = inverse(projectionMatrix * modelViewMatrix);
+    invModelView = inverse(modelViewMatrix);
 }`;
 
 const fragmentShader = `
-#if RENDER_MEAN_VALUE == 0 && (USE_POINT_LIGHTS || USE_DIR_LIGHTS) || RENDER_NORMALS
+// Projections reduce the values along the ray into a single value instead of alpha blending
+#define RENDER_VALUE_PROJECTION (RENDER_MEAN_VALUE || RENDER_MAX_VALUE || RENDER_MIN_VALUE)
+// Surfaces are rendered at the iso value by refined marching or sphere tracing
+#define RENDER_SURFACE (RENDER_ISOSURFACE || USE_SPHERE_TRACING)
+// Alpha blending is used unless another render mode is enabled
+#define RENDER_ALPHA_BLENDING (RENDER_VALUE_PROJECTION == 0 && RENDER_SURFACE == 0 && RENDER_NORMALS == 0)
+// Fused volumes are classified and blended with the primary volume at every alpha blending step
+#define FUSE_VOLUMES (RENDER_ALPHA_BLENDING && FUSED_VOLUME_COUNT > 0)
+// The step cap of the ray, which fits a full set of steps per volume interval when the volumes are fused
+#if FUSE_VOLUMES && USE_FIXED_STEP_LENGTH == 0
+ #define MAX_RAY_STEPS (RAY_STEPS * (FUSED_VOLUME_COUNT + 1))
+#else
+ #define MAX_RAY_STEPS RAY_STEPS
+#endif
+// Label maps classify alpha blending steps by the nearest label (mode 1 renders labels, 2 masks and 3 tints the scan)
+#define USE_LABEL_MAP (RENDER_ALPHA_BLENDING && LABEL_MAP_MODE > 0)
+#define RENDER_LABELS (USE_LABEL_MAP && LABEL_MAP_MODE == 1)
+// Inverted clip shapes may remove segments in the middle of the ray, which are jumped over while marching
+#define USE_CLIP_GAPS (USE_CLIP_SPHERE && INVERT_CLIP_SPHERE || USE_CLIP_BOX && INVERT_CLIP_BOX)
+// Any of the supported three.js light types lights the volume
+#define USE_LIGHTS (USE_AMBIENT_LIGHTS || USE_ENVIRONMENT_LIGHTING || USE_HEMI_LIGHTS || USE_POINT_LIGHTS || USE_SPOT_LIGHTS || USE_DIR_LIGHTS)
+// Normals are estimated for lighting, 2D transfer functions or when rendering normals
+#define ESTIMATE_NORMALS (RENDER_VALUE_PROJECTION == 0 && USE_SCATTERING == 0 && USE_LIGHTS || RENDER_NORMALS || RENDER_ALPHA_BLENDING && USE_TRANSFER_FUNCTION_2D)
+
+#if ESTIMATE_NORMALS && USE_GRADIENT_ATLAS == 0
 // The real-unit epsilon used when estimating the forward difference for normals
 uniform float normalEpsilon;
 #endif
@@ -38,7 +121,33 @@ uniform float maxCutoffValue;
 uniform vec3 clipMin;
 uniform vec3 clipMax;
 
-#if RENDER_MEAN_VALUE == 0 && USE_EXTINCTION_COEFFICIENT && RENDER_NORMALS == 0
+// The object transform from local space into view space (set by three.js)
+uniform mat4 modelViewMatrix;
+// The inverse transpose of the model view matrix, transforming local-space normals into view space
+uniform mat3 normalMatrix;
+
+#if NUM_CLIPPING_PLANES > 0
+// View-space clipping planes of the material and renderer (set by three.js, normal in xyz and constant in w)
+uniform vec4 clippingPlanes[NUM_CLIPPING_PLANES];
+#endif
+
+#if USE_CLIP_SPHERE
+// The local-space center and radius of the clip sphere
+uniform vec3 clipSphereCenter;
+uniform float clipSphereRadius;
+#endif
+
+#if USE_CLIP_BOX
+// Transforms local-space positions into the unit cube (centered on the origin) of the clip box
+uniform mat4 clipBoxMatrix;
+#endif
+
+#if USE_FIXED_STEP_LENGTH
+// The constant ray step length (in local units or voxels)
+uniform float fixedStepLength;
+#endif
+
+#if RENDER_ALPHA_BLENDING && USE_EXTINCTION_COEFFICIENT
  #if USE_VALUE_AS_EXTINCTION_COEFFICIENT == 0
 // Fixed extinction coefficient
 uniform float extinctionCoefficient;
@@ -51,12 +160,52 @@ uniform float extinctionMultiplier;
 // Final color alpha multiplier
 uniform float alphaMultiplier;
 
- #if RENDER_MEAN_VALUE == 0
+ #if RENDER_VALUE_PROJECTION == 0
 // Range inside the cutoff at which the alpha fades to zero
 uniform float cutoffFadeRange;
  #endif
 #endif
 
+#if USE_SCATTERING
+// The Henyey-Greenstein anisotropy (-1 back, 0 isotropic and 1 forward scattering)
+uniform float scatteringAnisotropy;
+// The fraction of the extinction which is scattering instead of absorption
+uniform float scatteringAlbedo;
+#endif
+
+#if USE_EMISSION
+// The scaled value range over which the emission rises from zero to full strength
+uniform float minEmissionValue;
+uniform float maxEmissionValue;
+// Emitted light per local unit at full strength
+uniform float emissionMultiplier;
+#endif
+
+#if RENDER_ALPHA_BLENDING && USE_TRANSFER_FUNCTION_2D
+// 2D transfer function texture indexed by (value, gradient magnitude)
+uniform sampler2D transferFunction2D;
+// The clamped gradient magnitude range (the value range is the palette value range)
+uniform float minGradientMagnitude;
+uniform float maxGradientMagnitude;
+#endif
+
+#if RENDER_ALPHA_BLENDING && USE_EARLY_RAY_TERMINATION
+// The accumulated alpha at which the ray is considered opaque
+uniform float opacityThreshold;
+#endif
+
+#if RENDER_SURFACE
+// The value at which the isosurface is rendered
+uniform float isoValue;
+#endif
+
+#if USE_SPHERE_TRACING
+// The signed distance below which the surface is hit
+uniform float hitEpsilon;
+// Multiplier converting the scaled value into a local-space distance
+uniform float distanceScale;
+#endif
+
 // The current time (fractional volume index or time in sampleValue)
 uniform float time;
 
@@ -68,18 +217,28 @@ uniform float random;
 uniform sampler2D depthTexture;
 #endif
 
-// The world-space origin of the volume
+#if USE_CUSTOM_VALUE_FUNCTION == 0 || FUSE_VOLUMES
+${atlasShaderChunk}
+#endif
+
+// The local-space origin of the volume
 uniform vec3 volumeOrigin;
 #if USE_CUSTOM_VALUE_FUNCTION
-// The world-space size of the volume
+// The local-space size of the volume
 uniform vec3 volumeSize;
 
 // The injected function sampling a value from a position + time
 float sampleValue(float x, float y, float z, float t) {
 {function}
 }
+
+// Sample a value at a local position
+float sampleValue(vec3 position) {
+    vec3 local = position - volumeOrigin;
+    return sampleValue(local.x, local.y, local.z, time);
+}
 #else
-// A 3D texture atlas storing multiple volumes
+// A 3D texture atlas storing multiple volumes (with 1 to 4 channels)
 uniform sampler3D volumeAtlas;
 // The resolution of the volume atlas (number of volumes in X, Y, Z)
 uniform vec3 atlasResolution;
@@ -90,537 +249,2666 @@ uniform vec3 voxelSize;
 // The number of timesteps (volumes) stored in the atlas, ignoring unused volumes
 uniform float timeCount;
 
-// Sample and interpolate a value from the volume atlas
-float sampleValue(vec3 position, vec3 volumeUvOffset0, vec3 volumeUvOffset1, float volumeT) {
+// The volume UV offsets and interpolation factor of the current time (calculated in main)
+vec3 volumeUvOffset0;
+vec3 volumeUvOffset1;
+float volumeT;
+
+#if TRICUBIC_FILTER > 0
+ #if TRICUBIC_FILTER == 1
+// The B-spline weights are non-negative, so each pair folds into one trilinear fetch (8 fetches)
+  #define TRICUBIC_TAPS 2
+ #else
+// The negative outer Catmull-Rom weights are fetched separately and the inner pair is folded (27 fetches)
+  #define TRICUBIC_TAPS 3
+ #endif
+
+// Sample a volume of an atlas with tricubic filtering, built from hardware trilinear fetches
+// The volume voxel is relative to the first voxel center, and the atlas must use linear filtering
+vec4 sampleTricubic(sampler3D atlas, vec3 volumeUvOffset, vec3 volumeVoxel) {
+    vec3 index = floor(volumeVoxel);
+    vec3 f = volumeVoxel - index;
+    vec3 f2 = f * f;
+    vec3 f3 = f2 * f;
+
+    // The positions and weights of the fetches along each axis
+    vec3 taps[TRICUBIC_TAPS];
+    vec3 weights[TRICUBIC_TAPS];
+ #if TRICUBIC_FILTER == 1
+    vec3 w0 = (1.0 - 3.0 * f + 3.0 * f2 - f3) / 6.0;
+    vec3 w1 = (4.0 - 6.0 * f2 + 3.0 * f3) / 6.0;
+    vec3 w2 = (1.0 + 3.0 * f + 3.0 * f2 - 3.0 * f3) / 6.0;
+    vec3 w3 = f3 / 6.0;
+
+    weights[0] = w0 + w1;
+    weights[1] = w2 + w3;
+    taps[0] = index - 1.0 + w1 / weights[0];
+    taps[1] = index + 1.0 + w3 / weights[1];
+ #else
+    vec3 w0 = 0.5 * (-f + 2.0 * f2 - f3);
+    vec3 w1 = 0.5 * (2.0 - 5.0 * f2 + 3.0 * f3);
+    vec3 w2 = 0.5 * (f + 4.0 * f2 - 3.0 * f3);
+    vec3 w3 = 0.5 * (f3 - f2);
+
+    weights[0] = w0;
+    weights[1] = w1 + w2;
+    weights[2] = w3;
+    taps[0] = index - 1.0;
+    taps[1] = index + w2 / weights[1];
+    taps[2] = index + 2.0;
+ #endif
+
+    // Keep the fetches inside the volume, so they never blend in the neighboring volumes of the atlas
+    for (int i = 0; i < TRICUBIC_TAPS; i++) {
+        taps[i] = getAtlasUv(volumeUvOffset, clamp(taps[i], vec3(0.0), volumeResolution - 1.0), volumeResolution, atlasResolution);
+    }
+
+    vec4 result = vec4(0.0);
+    for (int z = 0; z < TRICUBIC_TAPS; z++) {
+        for (int y = 0; y < TRICUBIC_TAPS; y++) {
+            for (int x = 0; x < TRICUBIC_TAPS; x++) {
+                vec3 uv = vec3(taps[x].x, taps[y].y, taps[z].z);
+                result += weights[x].x * weights[y].y * weights[z].z * texture(atlas, uv);
+            }
+        }
+    }
+    return result;
+}
+#endif
+
+// Sample and interpolate all channels from the volume atlas at a local position
+vec4 sampleChannels(vec3 position) {
     // Transform the position into voxel/UV coordinates inside the volume
     // Assumes that the origin is centered on the first voxel
     vec3 volumeVoxel = (position - volumeOrigin) / voxelSize;
-    vec3 volumeUv = (volumeVoxel + 0.5) / volumeResolution;
 
+ #if TRICUBIC_FILTER > 0
+    // Sample the channels from the volume atlas with tricubic filtering
+    vec4 channels0 = sampleTricubic(volumeAtlas, volumeUvOffset0, volumeVoxel);
+    vec4 channels1 = sampleTricubic(volumeAtlas, volumeUvOffset1, volumeVoxel);
+ #else
     // Calculate UV coordinates inside the individual volumes
-    vec3 uv0 = volumeUvOffset0 + volumeUv / atlasResolution;
-    vec3 uv1 = volumeUvOffset1 + volumeUv / atlasResolution;
+    vec3 uv0 = getAtlasUv(volumeUvOffset0, volumeVoxel, volumeResolution, atlasResolution);
+    vec3 uv1 = getAtlasUv(volumeUvOffset1, volumeVoxel, volumeResolution, atlasResolution);
 
-    // Sample the values from the volume atlas
-    float value0 = texture(volumeAtlas, uv0).r;
-    float value1 = texture(volumeAtlas, uv1).r;
+    // Sample the channels from the volume atlas
+    vec4 channels0 = texture(volumeAtlas, uv0);
+    vec4 channels1 = texture(volumeAtlas, uv1);
+ #endif
 
     // Interpolate between volumes
-    return mix(value0, value1, volumeT);
+    return mix(channels0, channels1, volumeT);
 }
-#endif
 
-#if (USE_POINT_LIGHTS || USE_DIR_LIGHTS) && RENDER_NORMALS == 0
-// Light uniforms
- #if USE_POINT_LIGHTS && NUM_POINT_LIGHTS > 0
-struct PointLight {
-    vec3 color;
-    vec3 position;
-    float distance;
-};
-uniform PointLight pointLights[NUM_POINT_LIGHTS];
+// Sample and interpolate the value channel from the volume atlas at a local position
+float sampleValue(vec3 position) {
+    return sampleChannels(position)[VALUE_CHANNEL];
+}
+
+ #if USE_EMPTY_SPACE_SKIPPING
+// A 3D texture atlas storing the min/max value of each brick in the volume atlas
+uniform sampler3D occupancyAtlas;
+// The number of bricks in a single volume
+uniform vec3 brickResolution;
+// The number of voxels along each side of a brick
+uniform float brickSize;
+
+// Get the index of the brick containing a position
+vec3 getBrickIndex(vec3 position) {
+    vec3 volumeVoxel = (position - volumeOrigin) / voxelSize;
+    return clamp(floor(volumeVoxel / brickSize), vec3(0.0), brickResolution - 1.0);
+}
+
+// Sample the scaled value range of a brick in both of the interpolated volumes
+vec2 sampleBrickRange(vec3 brickIndex) {
+    // The occupancy atlas shares the layout of the volume atlas
+    vec3 brickUv = (brickIndex + 0.5) / brickResolution / atlasResolution;
+    vec2 range0 = texture(occupancyAtlas, volumeUvOffset0 + brickUv).rg;
+    vec2 range1 = texture(occupancyAtlas, volumeUvOffset1 + brickUv).rg;
+
+    // Scale the combined range (a negative multiplier swaps min and max)
+    vec2 range = vec2(min(range0.x, range1.x), max(range0.y, range1.y)) * valueMultiplier + valueAdded;
+    return vec2(min(range.x, range.y), max(range.x, range.y));
+}
  #endif
- #if USE_DIR_LIGHTS && NUM_DIR_LIGHTS > 0
-struct DirectionalLight {
-    vec3 direction;
-    vec3 color;
-};
-uniform DirectionalLight directionalLights[NUM_DIR_LIGHTS];
+
+ #if USE_LABEL_MAP
+  #if RENDER_LABELS == 0
+// A 3D texture atlas storing the label of each voxel (shares the layout of the volume atlas)
+uniform sampler3D labelAtlas;
+  #endif
+// Lookup table texture storing the color and opacity of each label (hidden labels have zero opacity)
+uniform sampler2D labelLookupTable;
+
+// Look up the color and opacity of the nearest label at a local position
+vec4 sampleLabelColor(vec3 position) {
+    // Labels are never interpolated, so fetch the nearest voxel of the nearest volume
+    ivec3 voxel = clamp(ivec3(round((position - volumeOrigin) / voxelSize)), ivec3(0), ivec3(volumeResolution) - 1);
+    vec3 volumeUvOffset = volumeT < 0.5 ? volumeUvOffset0 : volumeUvOffset1;
+    ivec3 texel = ivec3(round(volumeUvOffset * atlasResolution)) * ivec3(volumeResolution) + voxel;
+
+  #if RENDER_LABELS
+    float label = texelFetch(volumeAtlas, texel, 0)[VALUE_CHANNEL];
+  #else
+    float label = texelFetch(labelAtlas, texel, 0).r;
+  #endif
+
+    // Clamp the label to the lookup table
+    int index = clamp(int(round(label)), 0, textureSize(labelLookupTable, 0).x - 1);
+    return texelFetch(labelLookupTable, ivec2(index, 0), 0);
+}
  #endif
 #endif
 
-varying vec2 vUv;
-varying float near;
-varying float far;
-varying mat4 invProjView;
+#if ESTIMATE_NORMALS
+ #if USE_GRADIENT_ATLAS
+// A 3D texture atlas storing the precomputed value gradient of each voxel (shares the layout of the volume atlas)
+uniform sampler3D gradientAtlas;
 
-void main() {
-    // Calculate the world position of the far plane using the plane UV coordinate
-    vec4 farWorld = invProjView * vec4(vUv * 2.0 - 1.0, 1.0, 1.0);
-    farWorld /= farWorld.w;
+// Sample the (unscaled) value gradient at a local position from the gradient atlas
+vec3 estimateGradient(vec3 position, float sampledValue) {
+    vec3 volumeVoxel = (position - volumeOrigin) / voxelSize;
 
-    // Cast a ray from the camera to the near plane
-    vec3 rayOrigin = cameraPosition;
-    vec3 rayDirection = normalize(farWorld.xyz - rayOrigin);
+    // Sample both volumes and interpolate between them
+  #if TRICUBIC_FILTER > 0
+    vec3 gradient0 = sampleTricubic(gradientAtlas, volumeUvOffset0, volumeVoxel).rgb;
+    vec3 gradient1 = sampleTricubic(gradientAtlas, volumeUvOffset1, volumeVoxel).rgb;
+  #else
+    vec3 gradient0 = texture(gradientAtlas, getAtlasUv(volumeUvOffset0, volumeVoxel, volumeResolution, atlasResolution)).rgb;
+    vec3 gradient1 = texture(gradientAtlas, getAtlasUv(volumeUvOffset1, volumeVoxel, volumeResolution, atlasResolution)).rgb;
+  #endif
 
-#if USE_VOLUMETRIC_DEPTH_TEST
-    // Sample depth
-    float z = texture(depthTexture, vUv).r;
-    float depth = -((near * far) / ((far - near) * z - far));
-#endif
+    // The gradients are stored per voxel
+    return mix(gradient0, gradient1, volumeT) / voxelSize;
+}
+ #else
+// Approximate the (unscaled) value gradient at a local position using forward difference
+vec3 estimateGradient(vec3 position, float sampledValue) {
+    vec3 delta = vec3(
+        sampleValue(position + vec3(normalEpsilon, 0.0, 0.0)) - sampledValue,
+        sampleValue(position + vec3(0.0, normalEpsilon, 0.0)) - sampledValue,
+        sampleValue(position + vec3(0.0, 0.0, normalEpsilon)) - sampledValue);
+    return delta / normalEpsilon;
+}
+ #endif
 
-#if USE_CUSTOM_VALUE_FUNCTION == 0
-    // Calculate the volume size and max coordinate
-    vec3 volumeSize = volumeResolution * voxelSize;
-    // Minus one voxel since they are centered
-    vec3 volumeMax = volumeOrigin + (volumeResolution - 1.0) * voxelSize;
+// Convert a value gradient into a normal
+vec3 gradientToNormal(vec3 gradient) {
+    gradient = mix(vec3(0, 1, 0), gradient, step(1e-7, dot(gradient, gradient)));
+ #if INVERT_NORMALS
+    return normalize(-gradient);
+ #else
+    return normalize(gradient);
+ #endif
+}
 
-    // Calculate the volume indices and interpolation factor
-    int volumeIndex0 = int(time) % int(timeCount);
-    int volumeIndex1 = (volumeIndex0 + 1) % int(timeCount);
-    float volumeT = fract(time);
+// Approximate the normal at a local position
+vec3 estimateNormal(vec3 position, float sampledValue) {
+    return gradientToNormal(estimateGradient(position, sampledValue));
+}
+#endif
 
-    // Calculate the 3D volume indices
-    int atlasResolutionX = int(atlasResolution.x);
-    int atlasResolutionY = int(atlasResolution.y);
-    int atlasResolutionZ = int(atlasResolution.z);
+#if NUM_CLIPPING_PLANES > 0
+// Shrink the ray interval to the segment inside all union clipping planes (discarding rays which miss it)
+void clipRayIntervalByPlanes(vec3 rayOrigin, vec3 rayDirection, inout float tNear, inout float tFar) {
+ #if UNION_CLIPPING_PLANES > 0
+    // The planes are defined in view space
+    vec3 viewRayOrigin = (modelViewMatrix * vec4(rayOrigin, 1.0)).xyz;
+    vec3 viewRayDirection = (modelViewMatrix * vec4(rayDirection, 0.0)).xyz;
+
+    for (int i = 0; i < UNION_CLIPPING_PLANES; i++) {
+        float planeDistance = dot(clippingPlanes[i].xyz, viewRayOrigin) + clippingPlanes[i].w;
+        float planeApproach = dot(clippingPlanes[i].xyz, viewRayDirection);
+
+        if (planeApproach > 0.0) {
+            // The ray enters the visible side of the plane
+            tNear = max(tNear, -planeDistance / planeApproach);
+        } else if (planeApproach < 0.0) {
+            // The ray leaves the visible side of the plane
+            tFar = min(tFar, -planeDistance / planeApproach);
+        } else if (planeDistance < 0.0) {
+            // The ray runs parallel to the plane on its clipped side
+            discard;
+        }
+    }
+ #endif
+}
 
-    int volume0X = volumeIndex0 % atlasResolutionX;
-    int volume0Y = (volumeIndex0 / atlasResolutionX) % atlasResolutionY;
-    int volume0Z = volumeIndex0 / (atlasResolutionX * atlasResolutionY);
+ #if NUM_CLIPPING_PLANES > UNION_CLIPPING_PLANES
+// Mask positions on the clipped side of all intersection clipping planes (material.clipIntersection)
+float getIntersectionClipWeight(vec3 position) {
+    vec3 viewPosition = (modelViewMatrix * vec4(position, 1.0)).xyz;
 
-    int volume1X = volumeIndex1 % atlasResolutionX;
-    int volume1Y = (volumeIndex1 / atlasResolutionX) % atlasResolutionY;
-    int volume1Z = volumeIndex1 / (atlasResolutionX * atlasResolutionY);
+    bool clipped = true;
+    for (int i = UNION_CLIPPING_PLANES; i < NUM_CLIPPING_PLANES; i++) {
+        clipped = clipped && dot(clippingPlanes[i].xyz, viewPosition) + clippingPlanes[i].w < 0.0;
+    }
+    return clipped ? 0.0 : 1.0;
+}
+ #endif
 
-    // Calculate the volume UV offsets
-    vec3 volumeUvOffset0 = vec3(float(volume0X), float(volume0Y), float(volume0Z)) / atlasResolution;
-    vec3 volumeUvOffset1 = vec3(float(volume1X), float(volume1Y), float(volume1Z)) / atlasResolution;
-#else
-    // Calculate the volume max coordinate
-    vec3 volumeMax = volumeOrigin + volumeSize;
-#endif
+ #if UNION_CLIPPING_PLANES > 0
+// Mask positions on the clipped side of any union clipping plane (used where no ray interval is trimmed, e.g. shadow rays)
+float getUnionClipWeight(vec3 position) {
+    vec3 viewPosition = (modelViewMatrix * vec4(position, 1.0)).xyz;
 
-    // Calculate ray-box intersection
-    vec3 boxMin = max(volumeOrigin, clipMin);
-    vec3 boxMax = min(volumeMax, clipMax);
+    for (int i = 0; i < UNION_CLIPPING_PLANES; i++) {
+        if (dot(clippingPlanes[i].xyz, viewPosition) + clippingPlanes[i].w < 0.0) {
+            return 0.0;
+        }
+    }
+    return 1.0;
+}
+ #endif
+#endif
 
+// Calculate the ray interval inside an axis-aligned box (empty if missed)
+vec2 intersectBox(vec3 rayOrigin, vec3 rayDirection, vec3 boxMin, vec3 boxMax) {
     vec3 t1 = (boxMin - rayOrigin) / rayDirection;
     vec3 t2 = (boxMax - rayOrigin) / rayDirection;
 
     vec3 tMin = min(t1, t2);
     vec3 tMax = max(t1, t2);
+    return vec2(max(max(tMin.x, tMin.y), tMin.z), min(min(tMax.x, tMax.y), tMax.z));
+}
 
-    float tNear = max(max(tMin.x, tMin.y), tMin.z);
-    float tFar = min(min(tMax.x, tMax.y), tMax.z);
-
-    // If the ray starts outside the volume and does not hit the box, discard the fragment
-    bool insideBox = all(greaterThanEqual(rayOrigin, boxMin)) &&
-        all(lessThanEqual(rayOrigin, boxMax));
+#if USE_CLIP_SPHERE || USE_CLIP_BOX
+// Shrink the ray interval to the ray-shape intersection interval, or remove it from the ray interval if inverted.
+// An interval removed from the middle of the ray can not be trimmed and is returned as a gap instead.
+void clipRayIntervalByShape(vec2 shapeInterval, bool invert, inout float tNear, inout float tFar, inout vec2 gap) {
+    if (!invert) {
+        tNear = max(tNear, shapeInterval.x);
+        tFar = min(tFar, shapeInterval.y);
+    } else if (shapeInterval.x <= tNear) {
+        tNear = max(tNear, shapeInterval.y);
+    } else if (shapeInterval.y >= tFar) {
+        tFar = min(tFar, shapeInterval.x);
+    } else {
+        gap = shapeInterval;
+    }
+}
+#endif
 
-    if (!insideBox && (tNear > tFar || tFar < 0.0)) {
-        discard;
+#if USE_CLIP_SPHERE
+// Calculate the ray interval inside the clip sphere (empty if missed)
+vec2 intersectClipSphere(vec3 rayOrigin, vec3 rayDirection) {
+    vec3 offset = rayOrigin - clipSphereCenter;
+    float b = dot(offset, rayDirection);
+    float discriminant = b * b - dot(offset, offset) + clipSphereRadius * clipSphereRadius;
+    if (discriminant < 0.0) {
+        return vec2(1e30, -1e30);
     }
 
-    // Calculate the ray entry and exit points on the volume
-    vec3 entryPoint = insideBox ? rayOrigin : rayOrigin + rayDirection * tNear;
-    vec3 exitPoint = rayOrigin + rayDirection * tFar;
+    float halfLength = sqrt(discriminant);
+    return vec2(-b - halfLength, -b + halfLength);
+}
+#endif
 
-    // Calculate the total volume ray intersection and step length
-    float intersectionLength = length(exitPoint - entryPoint);
-    float stepLength = intersectionLength / float(RAY_STEPS);
+#if USE_CLIP_BOX
+// Calculate the ray interval inside the clip box (empty if missed)
+vec2 intersectClipBox(vec3 rayOrigin, vec3 rayDirection) {
+    // The ray lengths are preserved by the affine transform into the unit cube
+    vec3 localOrigin = (clipBoxMatrix * vec4(rayOrigin, 1.0)).xyz;
+    vec3 localDirection = (clipBoxMatrix * vec4(rayDirection, 0.0)).xyz;
+    return intersectBox(localOrigin, localDirection, vec3(-0.5), vec3(0.5));
+}
+#endif
 
-#if RENDER_NORMALS == 0
- #if RENDER_MEAN_VALUE
-    // Accumulators for the mean value
-    float valueSum = 0.0;
-    float weightSum = 0.0;
- #else
-    // Final color in front-to-back blending
-    vec4 alphaBlendedColor = vec4(0.0);
+#if USE_CLIP_SPHERE || USE_CLIP_BOX
+// Mask positions cut away by the clip shapes (used where no ray interval is clipped, e.g. shadow rays)
+float getClipShapeWeight(vec3 position) {
+    float weight = 1.0;
+ #if USE_CLIP_SPHERE
+    bool insideSphere = distance(position, clipSphereCenter) <= clipSphereRadius;
+    weight *= float(insideSphere != (INVERT_CLIP_SPHERE == 1));
  #endif
-#else
-    // Transparent until a surface is hit
-    gl_FragColor = vec4(0.0);
+ #if USE_CLIP_BOX
+    bool insideBox = all(lessThanEqual(abs((clipBoxMatrix * vec4(position, 1.0)).xyz), vec3(0.5)));
+    weight *= float(insideBox != (INVERT_CLIP_BOX == 1));
+ #endif
+    return weight;
+}
 #endif
 
-#if USE_RANDOM_START
-    // Add a random offset to the ray start length to 'fuzz' sharp edges
-    float rand = mod(random + fract(sin(dot(rayDirection, vec3(12.9898, 78.233, 45.164))) * 43758.5453), 1.0);
-    // Keep track of the total ray distance
-    float currentRayLength = stepLength * (rand - 1.0) + 1e-6;
-#else
-    // Keep track of the total ray distance
-    float currentRayLength = -stepLength + 1e-6;
+#if USE_CLIP_GAPS
+// Jump over whole steps out of a removed gap to keep the sample positions unchanged
+float skipClipGap(float rayLength, vec2 gap, float stepLength) {
+    if (rayLength > gap.x && rayLength < gap.y) {
+        rayLength += ceil((gap.y - rayLength) / stepLength) * stepLength;
+    }
+    return rayLength;
+}
 #endif
 
-    // Loop over the ray steps
-    for (int i = 0; i < RAY_STEPS; i++) {
-        // Advance the ray
-        currentRayLength += stepLength;
+#if FUSE_VOLUMES
+// The parameters of a volume fused with the primary volume
+// (the volume matrix transforms local positions into the space of its volume origin and voxel size)
+struct FusedVolume {
+    vec3 volumeOrigin;
+    vec3 atlasResolution;
+    vec3 volumeResolution;
+    vec3 voxelSize;
+    mat4 volumeMatrix;
+    float timeCount;
+    float minPaletteValue;
+    float maxPaletteValue;
+    float minCutoffValue;
+    float maxCutoffValue;
+    float valueMultiplier;
+    float valueAdded;
+    float extinctionMultiplier;
+    float alphaMultiplier;
+};
+uniform FusedVolume fusedVolumes[FUSED_VOLUME_COUNT];
+// The 3D texture atlas and horizontal palette of each fused volume
+uniform sampler3D fusedVolumeAtlases[FUSED_VOLUME_COUNT];
+uniform sampler2D fusedPalettes[FUSED_VOLUME_COUNT];
+
+// The fused volume UV offsets of the current time (calculated in main)
+vec3 fusedUvOffsets0[FUSED_VOLUME_COUNT];
+vec3 fusedUvOffsets1[FUSED_VOLUME_COUNT];
+
+// Transform a local position into the voxel coordinates of a fused volume
+vec3 getFusedVoxel(FusedVolume volume, vec3 position) {
+    return ((volume.volumeMatrix * vec4(position, 1.0)).xyz - volume.volumeOrigin) / volume.voxelSize;
+}
 
-        // Mask steps outside the bounding volume (a mask is used to avoid conditional branching)
-        float stepWeight = 1.0 - step(intersectionLength - 1e-6, currentRayLength);
+// Sample the (unscaled) value of a fused volume at voxel coordinates and interpolate between volumes
+float sampleFusedValue(FusedVolume volume, sampler3D atlas, vec3 uvOffset0, vec3 uvOffset1, vec3 volumeVoxel) {
+    float value0 = texture(atlas, getAtlasUv(uvOffset0, volumeVoxel, volume.volumeResolution, volume.atlasResolution)).r;
+    float value1 = texture(atlas, getAtlasUv(uvOffset1, volumeVoxel, volume.volumeResolution, volume.atlasResolution)).r;
+    return mix(value0, value1, fract(time));
+}
 
-        // Interpolate the current position along the ray
-        vec3 position = mix(entryPoint, exitPoint, currentRayLength / intersectionLength);
+// Mask positions outside a fused volume and scaled values outside its cutoff range
+float getFusedWeight(FusedVolume volume, vec3 volumeVoxel, float scaledValue) {
+    float weight = float(all(greaterThanEqual(volumeVoxel, vec3(0.0))) &&
+        all(lessThanEqual(volumeVoxel, volume.volumeResolution - 1.0)));
+    return weight * step(volume.minCutoffValue, scaledValue) * step(scaledValue, volume.maxCutoffValue);
+}
 
-        // Sample value at ray position
-#if USE_CUSTOM_VALUE_FUNCTION
-        vec3 local = position - volumeOrigin;
-        float sampledValue = sampleValue(local.x, local.y, local.z, time);
-#else
-        float sampledValue = sampleValue(position, volumeUvOffset0, volumeUvOffset1, volumeT);
-#endif
-        float scaledValue = sampledValue * valueMultiplier + valueAdded;
+// Calculate the ray interval inside the box of a fused volume (empty if missed)
+vec2 intersectFusedVolume(FusedVolume volume, vec3 rayOrigin, vec3 rayDirection) {
+    // The ray lengths are preserved by the affine transform into the fused volume
+    vec3 fusedRayOrigin = (volume.volumeMatrix * vec4(rayOrigin, 1.0)).xyz;
+    vec3 fusedRayDirection = (volume.volumeMatrix * vec4(rayDirection, 0.0)).xyz;
+    vec3 fusedVolumeMax = volume.volumeOrigin + (volume.volumeResolution - 1.0) * volume.voxelSize;
 
-        // Only consider values inside the cutoff range
-        stepWeight *= step(minCutoffValue, scaledValue) * step(scaledValue, maxCutoffValue);
+    return intersectBox(fusedRayOrigin, fusedRayDirection, volume.volumeOrigin, fusedVolumeMax);
+}
 
-#if USE_VOLUMETRIC_DEPTH_TEST
-        // Mask areas behind the depth buffer
-        stepWeight *= step(currentRayLength + tNear, depth);
-#endif
+// Classify a fused volume at a local position into a premultiplied color
+vec4 classifyFusedVolume(FusedVolume volume, sampler3D atlas, sampler2D fusedPalette,
+    vec3 uvOffset0, vec3 uvOffset1, vec3 position, float stepLength) {
+    vec3 volumeVoxel = getFusedVoxel(volume, position);
+    float scaledValue = sampleFusedValue(volume, atlas, uvOffset0, uvOffset1, volumeVoxel) * volume.valueMultiplier + volume.valueAdded;
+    float weight = getFusedWeight(volume, volumeVoxel, scaledValue);
 
-#if RENDER_MEAN_VALUE && RENDER_NORMALS == 0
-        // Accumulate weighted value for the mean value
-        valueSum += scaledValue * stepLength * stepWeight;
-        weightSum += stepLength * stepWeight;
-#else
- #if USE_POINT_LIGHTS || USE_DIR_LIGHTS || RENDER_NORMALS
-        // Approximate normal using forward difference
-  #if USE_CUSTOM_VALUE_FUNCTION
-        vec3 delta = vec3(
-            sampleValue(local.x + normalEpsilon, local.y, local.z, time) - sampledValue,
-            sampleValue(local.x, local.y + normalEpsilon, local.z, time) - sampledValue,
-            sampleValue(local.x, local.y, local.z + normalEpsilon, time) - sampledValue);
-  #else
-        vec3 delta = vec3(
-            sampleValue(position + vec3(normalEpsilon, 0.0, 0.0), volumeUvOffset0, volumeUvOffset1, volumeT) - sampledValue,
-            sampleValue(position + vec3(0.0, normalEpsilon, 0.0), volumeUvOffset0, volumeUvOffset1, volumeT) - sampledValue,
-            sampleValue(position + vec3(0.0, 0.0, normalEpsilon), volumeUvOffset0, volumeUvOffset1, volumeT) - sampledValue);
-  #endif
-        delta = mix(vec3(0, 1, 0), delta, step(1e-7, dot(delta, delta)));
-  #if INVERT_NORMALS
-        vec3 normal = normalize(-delta);
-  #else
-        vec3 normal = normalize(delta);
-  #endif
+    // Sample the fused palette to get color
+    float normalizedValue = clamp((scaledValue - volume.minPaletteValue) / (volume.maxPaletteValue - volume.minPaletteValue), 0.0, 1.0);
+    vec4 classifiedColor = texture(fusedPalette, vec2(normalizedValue, 0.5));
 
-  #if RENDER_NORMALS
-        // Render the normal when hitting the first surface
-        if (stepWeight > 0.0) {
-            gl_FragColor = vec4(normal * 0.5 + vec3(0.5), 1.0);
-            break;
-        }
-  #else
-        // Sum up lighting
-        vec3 addedLights = vec3(0.0);
+ #if USE_PALETTE_OPACITY
+    float opacity = classifiedColor.a;
+ #else
+    float opacity = 1.0;
+ #endif
+
+ #if USE_EXTINCTION_COEFFICIENT == 0
+    float alpha = opacity;
+ #elif USE_VALUE_AS_EXTINCTION_COEFFICIENT
+    float alpha = 1.0 - exp(-scaledValue * opacity * volume.extinctionMultiplier * stepLength);
+ #else
+    float alpha = 1.0 - exp(-extinctionCoefficient * opacity * volume.extinctionMultiplier * stepLength);
+ #endif
+    alpha *= weight * volume.alphaMultiplier;
 
-        // Transform world position and normal into view space
-        vec3 viewPosition = (viewMatrix * vec4(position, 1.0)).xyz;
-        vec3 viewNormal = normalize((viewMatrix * vec4(normal, 0.0)).xyz);
+    // Calculate edge opacity (fades out values near the cutoff range)
+    alpha *= smoothstep(0.0, cutoffFadeRange + 1e-6, min(scaledValue - volume.minCutoffValue, volume.maxCutoffValue - scaledValue));
+    alpha = clamp(alpha, 0.0, 1.0);
 
-   #if USE_POINT_LIGHTS && NUM_POINT_LIGHTS > 0
-        for(int l = 0; l < NUM_POINT_LIGHTS; l++) {
-            vec3 lightDirection = normalize(pointLights[l].position - viewPosition);
-            float strength = max(1.0 - (distance(viewPosition, pointLights[l].position) / pointLights[l].distance), 0.0);
-            addedLights += clamp(dot(lightDirection, viewNormal), 0.0, 1.0) * pointLights[l].color * strength;
-        }
-   #endif
-   #if USE_DIR_LIGHTS && NUM_DIR_LIGHTS > 0
-        for(int l = 0; l < NUM_DIR_LIGHTS; l++) {
-            vec3 lightDirection = directionalLights[l].direction;
-            addedLights += clamp(dot(lightDirection, viewNormal), 0.0, 1.0) * directionalLights[l].color;
-        }
-   #endif
-  #endif
+    return vec4(classifiedColor.rgb * alpha, alpha);
+}
+
+ #if USE_LIGHTS && USE_SCATTERING == 0
+// Approximate the (unscaled) value gradient of a fused volume at a local position using forward differences of one voxel
+vec3 estimateFusedGradient(FusedVolume volume, sampler3D atlas, vec3 uvOffset0, vec3 uvOffset1, vec3 position) {
+    vec3 volumeVoxel = getFusedVoxel(volume, position);
+    float value = sampleFusedValue(volume, atlas, uvOffset0, uvOffset1, volumeVoxel);
+    vec3 delta = vec3(
+        sampleFusedValue(volume, atlas, uvOffset0, uvOffset1, volumeVoxel + vec3(1.0, 0.0, 0.0)) - value,
+        sampleFusedValue(volume, atlas, uvOffset0, uvOffset1, volumeVoxel + vec3(0.0, 1.0, 0.0)) - value,
+        sampleFusedValue(volume, atlas, uvOffset0, uvOffset1, volumeVoxel + vec3(0.0, 0.0, 1.0)) - value);
+
+    // Transform the gradient from the space of the fused volume into local space
+    return transpose(mat3(volume.volumeMatrix)) * (delta / volume.voxelSize);
+}
  #endif
 
- #if RENDER_NORMALS == 0
-        // Remap the value to the [0, 1] range
-        float normalizedValue = clamp((scaledValue - minPaletteValue) / (maxPaletteValue - minPaletteValue), 0.0, 1.0);
+ #if USE_SELF_SHADOWING
+// Sample the extinction coefficient of a fused volume at a local position (zero outside the fused volume and its cutoff range)
+float sampleFusedExtinction(FusedVolume volume, sampler3D atlas, sampler2D fusedPalette,
+    vec3 uvOffset0, vec3 uvOffset1, vec3 position) {
+    vec3 volumeVoxel = getFusedVoxel(volume, position);
+    float scaledValue = sampleFusedValue(volume, atlas, uvOffset0, uvOffset1, volumeVoxel) * volume.valueMultiplier + volume.valueAdded;
 
-  #if USE_EXTINCTION_COEFFICIENT == 0
-        float alpha = 1.0;
-  #elif USE_VALUE_AS_EXTINCTION_COEFFICIENT
-        // Calculate the blending alpha from the value as extinction coefficient
-        float alpha = 1.0 - exp(-scaledValue * extinctionMultiplier * stepLength);
+  #if USE_VALUE_AS_EXTINCTION_COEFFICIENT
+    float extinction = scaledValue;
   #else
-        // Calculate the blending alpha from the extinction coefficient
-        float alpha = 1.0 - exp(-extinctionCoefficient * extinctionMultiplier * stepLength);
+    float extinction = extinctionCoefficient;
+  #endif
+  #if USE_PALETTE_OPACITY
+    // The fused palette opacity curve modulates the extinction
+    float normalizedValue = clamp((scaledValue - volume.minPaletteValue) / (volume.maxPaletteValue - volume.minPaletteValue), 0.0, 1.0);
+    extinction *= texture(fusedPalette, vec2(normalizedValue, 0.5)).a;
   #endif
-        // If ignored, set 0 alpha
-        alpha *= stepWeight * alphaMultiplier;
 
-        // Calculate edge opacity (fades out values near the cutoff range)
-        alpha *= smoothstep(0.0, cutoffFadeRange + 1e-6, min(scaledValue - minCutoffValue, maxCutoffValue - scaledValue));
-        alpha = clamp(alpha, 0.0, 1.0);
+    return getFusedWeight(volume, volumeVoxel, scaledValue) * extinction * volume.extinctionMultiplier;
+}
+ #endif
 
-        // Sample the palette to get color
-        vec4 color = vec4(texture(palette, vec2(normalizedValue, 0.5)).rgb, alpha);
+// The ray intervals of the primary volume and the fused volumes, relative to the entry point (calculated in main)
+vec2 volumeIntervals[FUSED_VOLUME_COUNT + 1];
 
-  #if USE_POINT_LIGHTS || USE_DIR_LIGHTS
-        // Apply lighting to only color
-        color.rgb *= addedLights;
-  #endif
+ #if USE_FIXED_STEP_LENGTH == 0
+// Calculate the length of a volume interval inside the clipped ray interval
+float getClippedIntervalLength(vec2 interval, float intersectionLength) {
+    return max(min(interval.y, intersectionLength) - max(interval.x, 0.0), 0.0);
+}
 
-        // Front-to-back alpha blending
-        alphaBlendedColor.rgb += color.rgb * color.a * (1.0 - alphaBlendedColor.a);
-        alphaBlendedColor.a += (1.0 - alphaBlendedColor.a) * color.a;
- #endif
-#endif
+// Calculate a step length which samples the primary volume (or the shortest fused volume if the primary volume is missed)
+// as densely as without fused volumes, unless the steps across all volume intervals would not fit in MAX_RAY_STEPS
+float getFusedStepLength(float intersectionLength) {
+    float primaryLength = getClippedIntervalLength(volumeIntervals[0], intersectionLength);
+    float shortestLength = intersectionLength;
+    float lengthSum = primaryLength;
+    for (int i = 1; i <= FUSED_VOLUME_COUNT; i++) {
+        float intervalLength = getClippedIntervalLength(volumeIntervals[i], intersectionLength);
+        if (intervalLength > 0.0) {
+            shortestLength = min(shortestLength, intervalLength);
+        }
+        lengthSum += intervalLength;
     }
 
-#if RENDER_NORMALS == 0
- #if RENDER_MEAN_VALUE
-    // Calculate the mean value
-    float meanValue = valueSum / max(weightSum, 1e-6);
-    float normalizedMean = clamp((meanValue - minPaletteValue) / (maxPaletteValue - minPaletteValue), 1e-7, 1.0 - 1e-7);
+    // Leave one step per volume interval for rounding
+    float referenceLength = primaryLength > 0.0 ? primaryLength : shortestLength;
+    return max(referenceLength / float(RAY_STEPS), lengthSum / float(max(MAX_RAY_STEPS - FUSED_VOLUME_COUNT - 1, 1)));
+}
+ #endif
 
-    // Sample the mean color from the palette
-    float alpha = step(minCutoffValue, meanValue) * step(meanValue, maxCutoffValue) * alphaMultiplier;
-    alpha = clamp(alpha, 0.0, 1.0);
-    gl_FragColor = vec4(texture(palette, vec2(normalizedMean, 0.5)).rgb * alpha, alpha);
+// Jump over whole steps to the next volume interval if a ray length is between the volumes
+float skipVolumeGap(float rayLength, float stepLength) {
+    float nextStart = 1e30;
+    for (int i = 0; i <= FUSED_VOLUME_COUNT; i++) {
+        if (rayLength >= volumeIntervals[i].x && rayLength <= volumeIntervals[i].y) {
+            return rayLength;
+        }
+        if (volumeIntervals[i].x > rayLength && volumeIntervals[i].x <= volumeIntervals[i].y) {
+            nextStart = min(nextStart, volumeIntervals[i].x);
+        }
+    }
+    return rayLength + ceil((nextStart - rayLength) / stepLength) * stepLength;
+}
+#endif
+
+#if USE_LIGHTS && RENDER_NORMALS == 0
+// Light uniforms
+ #if USE_POINT_LIGHTS && NUM_POINT_LIGHTS > 0
+struct PointLight {
+    vec3 color;
+    vec3 position;
+    float distance;
+    float decay;
+};
+uniform PointLight pointLights[NUM_POINT_LIGHTS];
+ #endif
+ #if USE_DIR_LIGHTS && NUM_DIR_LIGHTS > 0
+struct DirectionalLight {
+    vec3 direction;
+    vec3 color;
+};
+uniform DirectionalLight directionalLights[NUM_DIR_LIGHTS];
+ #endif
+ #if USE_SPOT_LIGHTS && NUM_SPOT_LIGHTS > 0
+struct SpotLight {
+    vec3 position;
+    vec3 direction;
+    vec3 color;
+    float distance;
+    float decay;
+    float coneCos;
+    float penumbraCos;
+};
+uniform SpotLight spotLights[NUM_SPOT_LIGHTS];
+ #endif
+ #if USE_HEMI_LIGHTS && NUM_HEMI_LIGHTS > 0
+struct HemisphereLight {
+    vec3 direction;
+    vec3 skyColor;
+    vec3 groundColor;
+};
+uniform HemisphereLight hemisphereLights[NUM_HEMI_LIGHTS];
+ #endif
+ #if USE_AMBIENT_LIGHTS
+// The summed color of all ambient lights
+uniform vec3 ambientLightColor;
+ #endif
+ #if USE_ENVIRONMENT_LIGHTING
+// The order 2 spherical harmonics of the environment radiance and their intensity
+uniform vec3 environmentSH[9];
+uniform float environmentIntensity;
+
+// Evaluate the irradiance of the environment for a world-space normal
+vec3 getEnvironmentIrradiance(vec3 normal) {
+    float x = normal.x, y = normal.y, z = normal.z;
+
+    vec3 irradiance = environmentSH[0] * 0.886227;
+    irradiance += environmentSH[1] * 2.0 * 0.511664 * y;
+    irradiance += environmentSH[2] * 2.0 * 0.511664 * z;
+    irradiance += environmentSH[3] * 2.0 * 0.511664 * x;
+    irradiance += environmentSH[4] * 2.0 * 0.429043 * x * y;
+    irradiance += environmentSH[5] * 2.0 * 0.429043 * y * z;
+    irradiance += environmentSH[6] * (0.743125 * z * z - 0.247708);
+    irradiance += environmentSH[7] * 2.0 * 0.429043 * x * z;
+    irradiance += environmentSH[8] * 0.429043 * (x * x - y * y);
+
+    return max(irradiance, vec3(0.0)) * environmentIntensity;
+}
+ #endif
+
+ #if USE_SPECULAR
+// The Blinn-Phong specular exponent and strength
+uniform float shininess;
+uniform float specularStrength;
+ #endif
+
+ #if USE_SELF_SHADOWING
+// The (clipped) volume box which attenuates shadow rays (calculated in main)
+vec3 shadowBoxMin;
+vec3 shadowBoxMax;
+// The transform from view space into local space (calculated in main)
+mat4 viewToLocalMatrix;
+
+// Sample the extinction coefficient of the primary volume at a local position, classified like the alpha blending steps
+// (zero outside the cutoff range)
+float samplePrimaryExtinction(vec3 position) {
+    float sampledValue = sampleValue(position);
+    float scaledValue = sampledValue * valueMultiplier + valueAdded;
+  #if RENDER_LABELS
+    float mask = 1.0;
+  #else
+    float mask = step(minCutoffValue, scaledValue) * step(scaledValue, maxCutoffValue);
+  #endif
+
+  #if USE_VALUE_AS_EXTINCTION_COEFFICIENT
+    float extinction = scaledValue;
+  #else
+    float extinction = extinctionCoefficient;
+  #endif
+
+  #if RENDER_LABELS
+    // Rendered labels are classified by the label opacity instead
+    float opacity = sampleLabelColor(position).a;
+  #else
+   #if USE_TRANSFER_FUNCTION_2D || USE_PALETTE_OPACITY
+    float normalizedValue = clamp((scaledValue - minPaletteValue) / (maxPaletteValue - minPaletteValue), 0.0, 1.0);
+   #endif
+   #if USE_TRANSFER_FUNCTION_2D
+    // The opacity of the 2D transfer function depends on the gradient magnitude as well
+    float gradientMagnitude = length(estimateGradient(position, sampledValue)) * abs(valueMultiplier);
+    float normalizedGradient = clamp((gradientMagnitude - minGradientMagnitude) / (maxGradientMagnitude - minGradientMagnitude), 0.0, 1.0);
+    float opacity = texture(transferFunction2D, vec2(normalizedValue, normalizedGradient)).a;
+   #elif USE_PALETTE_OPACITY
+    float opacity = texture(palette, vec2(normalizedValue, 0.5)).a;
+   #else
+    float opacity = 1.0;
+   #endif
+   #if USE_LABEL_MAP && LABEL_MAP_MODE == 2
+    // Masked labels do not cast shadows (tinted labels only change the color)
+    opacity *= sampleLabelColor(position).a;
+   #endif
+  #endif
+
+    // The opacity modulates the extinction
+    return mask * extinction * opacity * extinctionMultiplier;
+}
+
+// Sample the extinction coefficient of the medium at a local position
+// (zero where the clipping planes or clip shapes cut away the medium)
+float sampleExtinction(vec3 position) {
+  #if FUSE_VOLUMES
+    // The shadow rays may leave the volume box to reach the fused volumes, which cast shadows as well
+    float extinction = float(all(greaterThanEqual(position, shadowBoxMin)) && all(lessThanEqual(position, shadowBoxMax))) *
+        samplePrimaryExtinction(position);
+
+    // The loop bound is injected as a literal, since three.js only unrolls literal bounds
+    float fusedExtinction = 0.0;
+    #pragma unroll_loop_start
+    for ( int i = 0; i < {fusedVolumeCount}; i ++ ) {
+        fusedExtinction += sampleFusedExtinction(fusedVolumes[ i ], fusedVolumeAtlases[ i ], fusedPalettes[ i ],
+            fusedUvOffsets0[ i ], fusedUvOffsets1[ i ], position);
+    }
+    #pragma unroll_loop_end
+    extinction += float(all(greaterThanEqual(position, clipMin)) && all(lessThanEqual(position, clipMax))) * fusedExtinction;
+  #else
+    float extinction = samplePrimaryExtinction(position);
+  #endif
+
+    // Medium which is clipped along the camera rays does not cast shadows either
+  #if UNION_CLIPPING_PLANES > 0
+    extinction *= getUnionClipWeight(position);
+  #endif
+  #if NUM_CLIPPING_PLANES > UNION_CLIPPING_PLANES
+    extinction *= getIntersectionClipWeight(position);
+  #endif
+  #if USE_CLIP_SPHERE || USE_CLIP_BOX
+    extinction *= getClipShapeWeight(position);
+  #endif
+    return extinction;
+}
+
+// March a shadow ray from a local position toward a light and return the Beer-Lambert transmittance
+float calculateTransmittance(vec3 position, vec3 lightDirection, float lightDistance) {
+    // Only the medium inside the volume box (and in front of the light) attenuates the light
+    vec2 shadowInterval = intersectBox(position, lightDirection, shadowBoxMin, shadowBoxMax);
+    float shadowLength = shadowInterval.x <= shadowInterval.y ? shadowInterval.y : 0.0;
+  #if FUSE_VOLUMES
+    // Extend the shadow ray over the (clipped) boxes of the fused volumes
+    vec2 clipInterval = intersectBox(position, lightDirection, clipMin, clipMax);
+    for (int i = 0; i < FUSED_VOLUME_COUNT; i++) {
+        vec2 fusedInterval = intersectFusedVolume(fusedVolumes[i], position, lightDirection);
+        fusedInterval = vec2(max(fusedInterval.x, clipInterval.x), min(fusedInterval.y, clipInterval.y));
+        if (fusedInterval.x <= fusedInterval.y) {
+            shadowLength = max(shadowLength, fusedInterval.y);
+        }
+    }
+  #endif
+    shadowLength = clamp(shadowLength, 0.0, lightDistance);
+    float shadowStepLength = shadowLength / float(SHADOW_STEPS);
+
+    // Accumulate the optical depth at the middle of each shadow step
+    float opticalDepth = 0.0;
+    for (int i = 0; i < SHADOW_STEPS; i++) {
+        opticalDepth += sampleExtinction(position + lightDirection * (float(i) + 0.5) * shadowStepLength);
+    }
+
+    return exp(-opticalDepth * shadowStepLength);
+}
+ #endif
+
+// The light arriving at a position from a single light
+struct IncidentLight {
+    // The view-space direction toward the light
+    vec3 direction;
+    // The attenuated (and shadowed) light color
+    vec3 color;
+};
+
+ #if USE_POINT_LIGHTS && NUM_POINT_LIGHTS > 0 || USE_SPOT_LIGHTS && NUM_SPOT_LIGHTS > 0
+// The attenuation of point and spot lights by the distance to the light (mirrors getDistanceAttenuation of three.js)
+float getDistanceFalloff(float lightDistance, float cutoffDistance, float decay) {
+    // Inverse power falloff, with a smooth window reaching zero at the cutoff distance (if any)
+    float distanceFalloff = 1.0 / max(pow(lightDistance, decay), 0.01);
+    if (cutoffDistance > 0.0) {
+        float windowFalloff = clamp(1.0 - pow(lightDistance / cutoffDistance, 4.0), 0.0, 1.0);
+        distanceFalloff *= windowFalloff * windowFalloff;
+    }
+    return distanceFalloff;
+}
+ #endif
+
+ #if USE_POINT_LIGHTS && NUM_POINT_LIGHTS > 0
+// Get the incident light of a point light at a local position (and the same view-space position)
+IncidentLight getPointLight(int l, vec3 position, vec3 viewPosition) {
+    IncidentLight light;
+    light.direction = normalize(pointLights[l].position - viewPosition);
+    float strength = getDistanceFalloff(distance(viewPosition, pointLights[l].position), pointLights[l].distance, pointLights[l].decay);
+  #if USE_SELF_SHADOWING
+    if (strength > 0.0) {
+        // Attenuate the light by the medium between the position and the local-space light position
+        vec3 lightPosition = (viewToLocalMatrix * vec4(pointLights[l].position, 1.0)).xyz;
+        strength *= calculateTransmittance(position, normalize(lightPosition - position), distance(lightPosition, position));
+    }
+  #endif
+    light.color = pointLights[l].color * strength;
+    return light;
+}
+ #endif
+
+ #if USE_SPOT_LIGHTS && NUM_SPOT_LIGHTS > 0
+// Get the incident light of a spot light at a local position (and the same view-space position)
+IncidentLight getSpotLight(int l, vec3 position, vec3 viewPosition) {
+    IncidentLight light;
+    light.direction = normalize(spotLights[l].position - viewPosition);
+
+    // Fade out between the penumbra and the cone edge
+    float angleCos = dot(light.direction, spotLights[l].direction);
+    float strength = smoothstep(spotLights[l].coneCos, spotLights[l].penumbraCos, angleCos) *
+        getDistanceFalloff(distance(viewPosition, spotLights[l].position), spotLights[l].distance, spotLights[l].decay);
+  #if USE_SELF_SHADOWING
+    if (strength > 0.0) {
+        // Attenuate the light by the medium between the position and the local-space light position
+        vec3 lightPosition = (viewToLocalMatrix * vec4(spotLights[l].position, 1.0)).xyz;
+        strength *= calculateTransmittance(position, normalize(lightPosition - position), distance(lightPosition, position));
+    }
+  #endif
+    light.color = spotLights[l].color * strength;
+    return light;
+}
+ #endif
+
+ #if USE_DIR_LIGHTS && NUM_DIR_LIGHTS > 0
+// Get the incident light of a directional light at a local position
+IncidentLight getDirectionalLight(int l, vec3 position) {
+    IncidentLight light;
+    light.direction = directionalLights[l].direction;
+  #if USE_SELF_SHADOWING
+    // Attenuate the light by the medium between the position and the volume exit toward the light
+    vec3 lightDirection = normalize(mat3(viewToLocalMatrix) * light.direction);
+    light.color = directionalLights[l].color * calculateTransmittance(position, lightDirection, 1e30);
+  #else
+    light.color = directionalLights[l].color;
+  #endif
+    return light;
+}
+ #endif
+
+ #if USE_SCATTERING
+// The Henyey-Greenstein phase function of the angle between the light and view propagation directions,
+// scaled by 4 pi to be 1 for isotropic scattering
+float henyeyGreensteinPhase(float cosTheta, float anisotropy) {
+    float anisotropy2 = anisotropy * anisotropy;
+    return (1.0 - anisotropy2) / pow(max(1.0 + anisotropy2 - 2.0 * anisotropy * cosTheta, 1e-6), 1.5);
+}
+
+// Sum up the single-scattered light toward the camera at a local position
+vec3 calculateScattering(vec3 position, vec3 rayDirection) {
+    vec3 scatteredLight = vec3(0.0);
+
+    // Transform local position and ray direction into view space
+    vec3 viewPosition = (modelViewMatrix * vec4(position, 1.0)).xyz;
+    vec3 viewRayDirection = normalize((modelViewMatrix * vec4(rayDirection, 0.0)).xyz);
+
+  #if USE_POINT_LIGHTS && NUM_POINT_LIGHTS > 0
+    for(int l = 0; l < NUM_POINT_LIGHTS; l++) {
+        IncidentLight light = getPointLight(l, position, viewPosition);
+        scatteredLight += henyeyGreensteinPhase(dot(light.direction, viewRayDirection), scatteringAnisotropy) * light.color;
+    }
+  #endif
+  #if USE_SPOT_LIGHTS && NUM_SPOT_LIGHTS > 0
+    for(int l = 0; l < NUM_SPOT_LIGHTS; l++) {
+        IncidentLight light = getSpotLight(l, position, viewPosition);
+        scatteredLight += henyeyGreensteinPhase(dot(light.direction, viewRayDirection), scatteringAnisotropy) * light.color;
+    }
+  #endif
+  #if USE_DIR_LIGHTS && NUM_DIR_LIGHTS > 0
+    for(int l = 0; l < NUM_DIR_LIGHTS; l++) {
+        IncidentLight light = getDirectionalLight(l, position);
+        scatteredLight += henyeyGreensteinPhase(dot(light.direction, viewRayDirection), scatteringAnisotropy) * light.color;
+    }
+  #endif
+  #if USE_HEMI_LIGHTS && NUM_HEMI_LIGHTS > 0
+    // Hemisphere lights arrive from all directions, which averages out the phase function
+    for(int l = 0; l < NUM_HEMI_LIGHTS; l++) {
+        scatteredLight += 0.5 * (hemisphereLights[l].skyColor + hemisphereLights[l].groundColor);
+    }
+  #endif
+  #if USE_AMBIENT_LIGHTS
+    scatteredLight += ambientLightColor;
+  #endif
+  #if USE_ENVIRONMENT_LIGHTING
+    // The environment arrives from all directions, which leaves its average (the constant harmonic)
+    scatteredLight += max(environmentSH[0] * 0.886227, vec3(0.0)) * environmentIntensity;
+  #endif
+
+    // Light colors include the intensity, so the scattered light divides by pi like the Lambertian BRDF of calculateLighting
+    return scatteredLight * scatteringAlbedo / 3.141592653589793;
+}
  #else
-    // Use the alpha blended color
-    gl_FragColor = alphaBlendedColor;
+  #if USE_SPECULAR
+// The Blinn-Phong specular lighting of an incident light
+vec3 calculateSpecular(IncidentLight light, vec3 viewNormal, vec3 viewDirection) {
+    vec3 halfDirection = normalize(light.direction + viewDirection);
+    float specular = pow(max(dot(viewNormal, halfDirection), 0.0), shininess) * specularStrength;
+    // No highlights on the side facing away from the light
+    return specular * step(0.0, dot(light.direction, viewNormal)) * light.color;
+}
+
+  #endif
+// Sum up the diffuse lighting at a local position (and the Blinn-Phong specular lighting separately)
+vec3 calculateLighting(vec3 position, vec3 normal, out vec3 specularLight) {
+    vec3 addedLights = vec3(0.0);
+    specularLight = vec3(0.0);
+
+    // Transform local position and normal into view space
+    vec3 viewPosition = (modelViewMatrix * vec4(position, 1.0)).xyz;
+    vec3 viewNormal = normalize(normalMatrix * normal);
+  #if USE_SPECULAR
+    // Orthographic cameras view along the view-space Z axis everywhere
+    vec3 viewDirection = isOrthographic ? vec3(0.0, 0.0, 1.0) : normalize(-viewPosition);
+  #endif
+
+  #if USE_POINT_LIGHTS && NUM_POINT_LIGHTS > 0
+    for(int l = 0; l < NUM_POINT_LIGHTS; l++) {
+        IncidentLight light = getPointLight(l, position, viewPosition);
+        addedLights += clamp(dot(light.direction, viewNormal), 0.0, 1.0) * light.color;
+   #if USE_SPECULAR
+        specularLight += calculateSpecular(light, viewNormal, viewDirection);
+   #endif
+    }
+  #endif
+  #if USE_SPOT_LIGHTS && NUM_SPOT_LIGHTS > 0
+    for(int l = 0; l < NUM_SPOT_LIGHTS; l++) {
+        IncidentLight light = getSpotLight(l, position, viewPosition);
+        addedLights += clamp(dot(light.direction, viewNormal), 0.0, 1.0) * light.color;
+   #if USE_SPECULAR
+        specularLight += calculateSpecular(light, viewNormal, viewDirection);
+   #endif
+    }
+  #endif
+  #if USE_DIR_LIGHTS && NUM_DIR_LIGHTS > 0
+    for(int l = 0; l < NUM_DIR_LIGHTS; l++) {
+        IncidentLight light = getDirectionalLight(l, position);
+        addedLights += clamp(dot(light.direction, viewNormal), 0.0, 1.0) * light.color;
+   #if USE_SPECULAR
+        specularLight += calculateSpecular(light, viewNormal, viewDirection);
+   #endif
+    }
+  #endif
+  #if USE_HEMI_LIGHTS && NUM_HEMI_LIGHTS > 0
+    for(int l = 0; l < NUM_HEMI_LIGHTS; l++) {
+        // Blend between the ground and sky colors by the normal direction
+        float skyWeight = 0.5 * dot(viewNormal, hemisphereLights[l].direction) + 0.5;
+        addedLights += mix(hemisphereLights[l].groundColor, hemisphereLights[l].skyColor, skyWeight);
+    }
+  #endif
+  #if USE_AMBIENT_LIGHTS
+    addedLights += ambientLightColor;
+  #endif
+  #if USE_ENVIRONMENT_LIGHTING
+    // The environment is defined in world space
+    addedLights += getEnvironmentIrradiance(transpose(mat3(viewMatrix)) * viewNormal);
+  #endif
+
+    // Light colors include the intensity, so the Lambertian BRDF divides by pi like three.js materials
+    return addedLights / 3.141592653589793;
+}
  #endif
 #endif
-}`;
 
-/**
- * Combined shader uniforms.
- *
- * Uniform properties:
- *
- * @property {THREE.Texture|null} depthTexture
- *   - Depth texture for volumetric depth testing.
- *     [Active only if USE_VOLUMETRIC_DEPTH_TEST is enabled]
- *
- * @property {THREE.Vector3} volumeOrigin
- *   - The world-space origin of the volume.
- *
- * @property {THREE.Vector3} volumeSize
- *   - The world-space size of the volume.
- *     [Active only when USE_CUSTOM_VALUE_FUNCTION is enabled]
- *
- * @property {THREE.Data3DTexture|null} volumeAtlas
- *   - The 3D texture containing packed volume data.
- *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
- *
- * @property {THREE.Vector3} atlasResolution
- *   - Number of volumes packed along each axis in the atlas.
- *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
- *
- * @property {THREE.Vector3} volumeResolution
- *   - Resolution (voxel count) of a single volume.
- *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
- *
- * @property {THREE.Vector3} voxelSize
- *   - The physical size of a single voxel.
- *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
- *
- * @property {THREE.Vector3} clipMin
- *   - The 3 minimum clipping planes.
- *
- * @property {THREE.Vector3} clipMax
- *   - The 3 maximum clipping planes.
- *
- * @property {number} timeCount
- *   - Total number of volumes (timesteps) stored in the atlas.
- *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
- *
- * @property {number} time
- *   - The current time, represented either as a fractional volume index or a time value for the custom function.
- *
- * @property {number} random
- *   - A random value used when initializing rays.
- *
- * @property {THREE.Texture|null} palette
- *   - Horizontal palette texture for mapping sampled values to colors.
- *     [Active only when RENDER_NORMALS is disabled]
- *
- * @property {number} minPaletteValue
- *   - The minimum value used for palette mapping.
- *     [Active only when RENDER_NORMALS is disabled]
- *
- * @property {number} maxPaletteValue
- *   - The maximum value used for palette mapping.
- *     [Active only when RENDER_NORMALS is disabled]
- *
- * @property {number} minCutoffValue
- *   - Minimum cutoff value. Values below this threshold are discarded.
- *
- * @property {number} maxCutoffValue
- *   - Maximum cutoff value. Values above this threshold are discarded.
- *
- * @property {number} cutoffFadeRange
- *   - Cutoff Fade Range over which the alpha fades to zero.
- *
- * @property {number} valueMultiplier
- *   - Multiplier applied to sampled values.
- *
- * @property {number} valueAdded
- *   - Value added to sampled values.
- *
- * @property {number} extinctionCoefficient
- *   - Fixed extinction coefficient used for alpha blending.
- *     [Active only when USE_EXTINCTION_COEFFICIENT is enabled, USE_VALUE_AS_EXTINCTION_COEFFICIENT and RENDER_NORMALS is disabled]
- *
- * @property {number} extinctionMultiplier
- *   - Multiplier applied to the extinction coefficient.
- *     [Active only when USE_EXTINCTION_COEFFICIENT is enabled and RENDER_NORMALS is disabled]
- *
- * @property {number} alphaMultiplier
- *   - Multiplier applied to the final alpha value.
- *     [Active only when RENDER_NORMALS is disabled]
- *
- * @property {number} normalEpsilon
- *   - Real-unit epsilon used for estimating normals via forward differences.
- *     [Active when RENDER_NORMALS is enabled, or when RENDER_MEAN_VALUE is disabled and (USE_POINT_LIGHTS or USE_DIR_LIGHTS) is enabled]
- */
+#if RENDER_SURFACE
+// Shade a surface hit with the palette color of the iso value (or render the normal)
+vec4 shadeSurface(vec3 position, vec3 rayDirection) {
+ #if ESTIMATE_NORMALS
+    // Estimate the normal at the hit and let it face the camera
+    vec3 normal = estimateNormal(position, sampleValue(position));
+    normal = faceforward(normal, rayDirection, normal);
+ #endif
+
+ #if RENDER_NORMALS
+    return vec4(normal * 0.5 + vec3(0.5), 1.0);
+ #else
+  #if USE_VOLUME_COLOR
+    // Use the sampled volume color at the hit
+    vec3 color = sampleChannels(position).rgb;
+  #else
+    float normalizedValue = clamp((isoValue - minPaletteValue) / (maxPaletteValue - minPaletteValue), 0.0, 1.0);
+    vec3 color = texture(palette, vec2(normalizedValue, 0.5)).rgb;
+  #endif
+  #if USE_LIGHTS
+    vec3 specularLight;
+    color = color * calculateLighting(position, normal, specularLight) + specularLight;
+  #endif
+    float alpha = clamp(alphaMultiplier, 0.0, 1.0);
+    return vec4(color * alpha, alpha);
+ #endif
+}
+#endif
+
+#if USE_PROXY_GEOMETRY
+varying vec4 vClipPosition;
+#else
+varying vec2 vUv;
+#endif
+varying float near;
+varying float far;
+varying mat4 invProjModelView;
+varying mat4 invModelView;
+
+void main() {
+#if USE_PROXY_GEOMETRY
+    // Calculate the screen UV coordinate of the rasterized bounding box
+    vec2 vUv = vClipPosition.xy / vClipPosition.w * 0.5 + 0.5;
+#endif
+
+    // Calculate the local positions of the near and far planes using the plane UV coordinate
+    vec4 nearLocal = invProjModelView * vec4(vUv * 2.0 - 1.0, -1.0, 1.0);
+    vec4 farLocal = invProjModelView * vec4(vUv * 2.0 - 1.0, 1.0, 1.0);
+    nearLocal /= nearLocal.w;
+    farLocal /= farLocal.w;
+
+    // Cast a ray in local space from the camera, or parallel rays from the near plane of orthographic cameras
+    vec3 rayOrigin = isOrthographic ? nearLocal.xyz : (invModelView * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    vec3 rayDirection = normalize(farLocal.xyz - nearLocal.xyz);
+
+#if USE_VOLUMETRIC_DEPTH_TEST
+    // Sample and linearize depth (orthographic depth is already linear)
+    float z = texture(depthTexture, vUv).r;
+    float depth = isOrthographic ? near + z * (far - near) : -((near * far) / ((far - near) * z - far));
+
+    // Convert the view-space depth into a local ray length from the ray origin
+    depth = (depth + (modelViewMatrix * vec4(rayOrigin, 1.0)).z) / -(modelViewMatrix * vec4(rayDirection, 0.0)).z;
+#endif
+
+#if USE_CUSTOM_VALUE_FUNCTION == 0
+    // Calculate the volume size and max coordinate
+    vec3 volumeSize = volumeResolution * voxelSize;
+    // Minus one voxel since they are centered
+    vec3 volumeMax = volumeOrigin + (volumeResolution - 1.0) * voxelSize;
+
+    // Calculate the volume UV offsets and interpolation factor
+    volumeT = getTimeUvOffsets(time, timeCount, atlasResolution, volumeUvOffset0, volumeUvOffset1);
+#else
+    // Calculate the volume max coordinate
+    vec3 volumeMax = volumeOrigin + volumeSize;
+#endif
+
+#if FUSE_VOLUMES
+    // Calculate the fused volume UV offsets of the current time
+    for (int i = 0; i < FUSED_VOLUME_COUNT; i++) {
+        getTimeUvOffsets(time, fusedVolumes[i].timeCount, fusedVolumes[i].atlasResolution, fusedUvOffsets0[i], fusedUvOffsets1[i]);
+    }
+#endif
+
+    // Calculate ray-box intersection
+    vec3 boxMin = max(volumeOrigin, clipMin);
+    vec3 boxMax = min(volumeMax, clipMax);
+#if USE_SELF_SHADOWING
+    shadowBoxMin = boxMin;
+    shadowBoxMax = boxMax;
+    viewToLocalMatrix = invModelView;
+#endif
+
+    vec2 boxInterval = intersectBox(rayOrigin, rayDirection, boxMin, boxMax);
+
+#if FUSE_VOLUMES
+    // Extend the ray interval over the (clipped) boxes of the fused volumes, which may be placed anywhere
+    if (boxInterval.x > boxInterval.y) {
+        boxInterval = vec2(1e30, -1e30);
+    }
+    volumeIntervals[0] = boxInterval;
+    vec2 clipInterval = intersectBox(rayOrigin, rayDirection, clipMin, clipMax);
+    for (int i = 0; i < FUSED_VOLUME_COUNT; i++) {
+        vec2 fusedInterval = intersectFusedVolume(fusedVolumes[i], rayOrigin, rayDirection);
+        fusedInterval = vec2(max(fusedInterval.x, clipInterval.x), min(fusedInterval.y, clipInterval.y));
+        volumeIntervals[i + 1] = fusedInterval;
+        if (fusedInterval.x <= fusedInterval.y) {
+            boxInterval = vec2(min(boxInterval.x, fusedInterval.x), max(boxInterval.y, fusedInterval.y));
+        }
+    }
+#endif
+
+    // Rays starting inside the box start at the camera
+    float tNear = max(boxInterval.x, 0.0);
+    float tFar = boxInterval.y;
+
+#if NUM_CLIPPING_PLANES > 0
+    // Shrink the ray interval to the visible side of the clipping planes
+    clipRayIntervalByPlanes(rayOrigin, rayDirection, tNear, tFar);
+#endif
+
+#if USE_CLIP_SPHERE || USE_CLIP_BOX
+    // Shrink the ray interval by the clip shapes (inverted shapes cut away their inside)
+    vec2 clipSphereGap = vec2(1e30, -1e30);
+    vec2 clipBoxGap = vec2(1e30, -1e30);
+ #if USE_CLIP_SPHERE
+    clipRayIntervalByShape(intersectClipSphere(rayOrigin, rayDirection), INVERT_CLIP_SPHERE == 1,
+        tNear, tFar, clipSphereGap);
+ #endif
+ #if USE_CLIP_BOX
+    clipRayIntervalByShape(intersectClipBox(rayOrigin, rayDirection), INVERT_CLIP_BOX == 1,
+        tNear, tFar, clipBoxGap);
+ #endif
+#endif
+
+    // If the ray does not hit the visible part of the box in front of the camera, discard the fragment
+    if (tNear > tFar) {
+        discard;
+    }
+
+#if USE_CLIP_GAPS
+    // Make the removed gaps relative to the entry point
+    clipSphereGap -= tNear;
+    clipBoxGap -= tNear;
+#endif
+
+#if FUSE_VOLUMES
+    // Make the volume intervals relative to the entry point
+    for (int i = 0; i <= FUSED_VOLUME_COUNT; i++) {
+        volumeIntervals[i] -= tNear;
+    }
+#endif
+
+    // Calculate the ray entry and exit points on the volume
+    vec3 entryPoint = rayOrigin + rayDirection * tNear;
+    vec3 exitPoint = rayOrigin + rayDirection * tFar;
+
+    // Calculate the total volume ray intersection and step length
+    float intersectionLength = length(exitPoint - entryPoint);
+#if USE_FIXED_STEP_LENGTH && STEP_LENGTH_IN_VOXELS
+    // Use a constant step length relative to the smallest voxel side (RAY_STEPS is the step cap)
+    float stepLength = fixedStepLength * min(min(voxelSize.x, voxelSize.y), voxelSize.z);
+#elif USE_FIXED_STEP_LENGTH
+    // Use a constant local-space step length (RAY_STEPS is the step cap)
+    float stepLength = fixedStepLength;
+#elif FUSE_VOLUMES
+    // The gaps between the volumes are jumped over instead of sampled, so they do not dilute the sampling density
+    float stepLength = getFusedStepLength(intersectionLength);
+#else
+    float stepLength = intersectionLength / float(RAY_STEPS);
+#endif
+
+#if USE_SPHERE_TRACING
+    // Transparent until a surface is hit
+    gl_FragColor = vec4(0.0);
+
+    // Sphere trace the scaled value as a signed distance field from the entry point
+    float tracedRayLength = 0.0;
+    for (int i = 0; i < SPHERE_TRACING_STEPS; i++) {
+ #if USE_CLIP_GAPS
+        // Jump to the end of removed gaps
+        if (tracedRayLength > clipSphereGap.x && tracedRayLength < clipSphereGap.y) {
+            tracedRayLength = clipSphereGap.y;
+        }
+        if (tracedRayLength > clipBoxGap.x && tracedRayLength < clipBoxGap.y) {
+            tracedRayLength = clipBoxGap.y;
+        }
+        if (tracedRayLength > intersectionLength) {
+            break;
+        }
+ #endif
+
+        vec3 position = entryPoint + rayDirection * tracedRayLength;
+        float signedDistance = (sampleValue(position) * valueMultiplier + valueAdded - isoValue) * distanceScale;
+
+ #if NUM_CLIPPING_PLANES > UNION_CLIPPING_PLANES
+        // Surfaces clipped by the intersection clipping planes are passed through
+        if (getIntersectionClipWeight(position) == 0.0) {
+            tracedRayLength += max(abs(signedDistance), hitEpsilon);
+            if (tracedRayLength > intersectionLength) {
+                break;
+            }
+            continue;
+        }
+ #endif
+
+        // Hit the surface (or started inside it)
+        if (signedDistance < hitEpsilon) {
+ #if USE_VOLUMETRIC_DEPTH_TEST
+            // Ignore surfaces behind the depth buffer
+            if (tracedRayLength + tNear > depth) {
+                break;
+            }
+ #endif
+            gl_FragColor = shadeSurface(position, rayDirection);
+            break;
+        }
+
+        // Advance the ray by the distance to the closest surface
+        tracedRayLength += signedDistance;
+        if (tracedRayLength > intersectionLength) {
+            break;
+        }
+    }
+#else
+#if RENDER_NORMALS == 0
+ #if RENDER_MEAN_VALUE
+    // Accumulators for the mean value
+    float valueSum = 0.0;
+    float weightSum = 0.0;
+ #elif RENDER_MAX_VALUE || RENDER_MIN_VALUE
+    // The maximum or minimum value and whether any value passed the cutoff
+  #if RENDER_MAX_VALUE
+    float projectedValue = -1e30;
+  #else
+    float projectedValue = 1e30;
+  #endif
+    float projectedWeight = 0.0;
+ #elif RENDER_ISOSURFACE == 0
+    // Final color in front-to-back blending
+    vec4 alphaBlendedColor = vec4(0.0);
+ #endif
+#endif
+
+#if RENDER_SURFACE || RENDER_NORMALS
+    // Transparent until a surface is hit
+    gl_FragColor = vec4(0.0);
+#endif
+
+#if RENDER_ISOSURFACE
+    // The ray length and value side (1 above or 0 below the iso value) of the previous step (-1 if unknown)
+    float previousRayLength = 0.0;
+    float previousSide = -1.0;
+#endif
+
+#if USE_RANDOM_START
+    // Add a random offset to the ray start length to 'fuzz' sharp edges
+    // The ray origin varies per pixel instead of the direction with orthographic cameras
+    float rand = mod(random + fract(sin(dot(rayDirection + rayOrigin, vec3(12.9898, 78.233, 45.164))) * 43758.5453), 1.0);
+    // Keep track of the total ray distance
+    float currentRayLength = stepLength * (rand - 1.0) + 1e-6;
+#else
+    // Keep track of the total ray distance
+    float currentRayLength = -stepLength + 1e-6;
+#endif
+
+    // Loop over the ray steps
+    for (int i = 0; i < MAX_RAY_STEPS; i++) {
+#if USE_EARLY_RAY_TERMINATION && RENDER_ALPHA_BLENDING
+        // Stop once the ray is effectively opaque
+        if (alphaBlendedColor.a >= opacityThreshold) {
+            break;
+        }
+#endif
+
+        // Advance the ray
+        currentRayLength += stepLength;
+
+#if FUSE_VOLUMES
+        // Jump over the gaps between the volumes (before the clip gaps, which must never be sampled)
+        currentRayLength = skipVolumeGap(currentRayLength, stepLength);
+#endif
+
+#if USE_CLIP_GAPS
+        // Jump over the gaps removed by inverted clip shapes
+ #if RENDER_ISOSURFACE
+        float unclippedRayLength = currentRayLength;
+ #endif
+        currentRayLength = skipClipGap(currentRayLength, clipSphereGap, stepLength);
+        currentRayLength = skipClipGap(currentRayLength, clipBoxGap, stepLength);
+ #if RENDER_ISOSURFACE
+        // Crossings are not bracketed across a gap
+        if (currentRayLength != unclippedRayLength) {
+            previousSide = -1.0;
+        }
+ #endif
+#endif
+
+#if USE_EMPTY_SPACE_SKIPPING || USE_FIXED_STEP_LENGTH || USE_CLIP_GAPS || FUSE_VOLUMES
+        // Fixed step lengths, skipped bricks and gaps may move the ray past the exit before the final step
+        if (currentRayLength >= intersectionLength) {
+            break;
+        }
+#endif
+
+        // Mask steps outside the bounding volume (a mask is used to avoid conditional branching)
+        float stepWeight = 1.0 - step(intersectionLength - 1e-6, currentRayLength);
+
+        // Interpolate the current position along the ray
+        vec3 position = mix(entryPoint, exitPoint, currentRayLength / intersectionLength);
+
+#if NUM_CLIPPING_PLANES > UNION_CLIPPING_PLANES
+        // Mask positions clipped by the intersection clipping planes
+        stepWeight *= getIntersectionClipWeight(position);
+#endif
+
+#if USE_EMPTY_SPACE_SKIPPING
+        vec3 brickIndex = getBrickIndex(position);
+        vec2 brickRange = sampleBrickRange(brickIndex);
+ #if RENDER_ISOSURFACE
+        // Skip bricks which can not contain the isosurface, unless the previous step is on the other side of the iso value
+        // (the step is sampled instead, so the crossing at the brick boundary is bracketed and refined)
+        float brickSide = step(isoValue, brickRange.x);
+        if ((brickRange.y < isoValue || brickRange.x > isoValue) && (previousSide < 0.0 || previousSide == brickSide)) {
+ #else
+        // Skip bricks where no value can pass the cutoff range
+        if (brickRange.y < minCutoffValue || brickRange.x > maxCutoffValue) {
+ #endif
+            // Calculate the distance to the brick exit along the ray
+            vec3 brickLocalSize = brickSize * voxelSize;
+            vec3 brickExit = volumeOrigin + (brickIndex + step(0.0, rayDirection)) * brickLocalSize;
+            vec3 exitDistances = (brickExit - position) / rayDirection;
+            float exitDistance = max(min(min(exitDistances.x, exitDistances.y), exitDistances.z), 0.0);
+
+            // Jump over whole steps to keep the sample positions unchanged
+            currentRayLength += floor(exitDistance / stepLength) * stepLength;
+ #if RENDER_ISOSURFACE
+            // All values in the skipped brick are on the same side of the iso value
+            previousRayLength = currentRayLength;
+            previousSide = brickSide;
+ #endif
+            continue;
+        }
+#endif
+
+#if USE_VOLUME_COLOR && RENDER_ALPHA_BLENDING
+        // Sample all channels at ray position and pick the value channel
+        vec4 sampledChannels = sampleChannels(position);
+        float sampledValue = sampledChannels[VALUE_CHANNEL];
+#else
+        // Sample value at ray position
+        float sampledValue = sampleValue(position);
+#endif
+        float scaledValue = sampledValue * valueMultiplier + valueAdded;
+
+#if USE_VOLUMETRIC_DEPTH_TEST
+        // Mask areas behind the depth buffer
+        stepWeight *= step(currentRayLength + tNear, depth);
+#endif
+
+#if FUSE_VOLUMES
+        // The fused volumes are masked by their own cutoff ranges
+        float fusedStepWeight = stepWeight;
+
+        // The ray may extend beyond the primary volume to reach the fused volumes
+        stepWeight *= float(all(greaterThanEqual(position, boxMin)) && all(lessThanEqual(position, boxMax)));
+#endif
+
+#if RENDER_ISOSURFACE == 0 && RENDER_LABELS == 0
+        // Only consider values inside the cutoff range
+        stepWeight *= step(minCutoffValue, scaledValue) * step(scaledValue, maxCutoffValue);
+#endif
+
+#if RENDER_ISOSURFACE
+        // Find the first step where the value crosses the iso value
+        float side = step(isoValue, scaledValue);
+        if (stepWeight > 0.0 && previousSide >= 0.0 && side != previousSide) {
+            // Refine the hit using bisection between the bracketing steps
+            float frontRayLength = previousRayLength;
+            float backRayLength = currentRayLength;
+            for (int r = 0; r < ISO_REFINEMENT_STEPS; r++) {
+                float middleRayLength = 0.5 * (frontRayLength + backRayLength);
+                vec3 middlePosition = mix(entryPoint, exitPoint, middleRayLength / intersectionLength);
+                float middleValue = sampleValue(middlePosition) * valueMultiplier + valueAdded;
+                if (step(isoValue, middleValue) == previousSide) {
+                    frontRayLength = middleRayLength;
+                } else {
+                    backRayLength = middleRayLength;
+                }
+            }
+            vec3 hitPosition = mix(entryPoint, exitPoint, 0.5 * (frontRayLength + backRayLength) / intersectionLength);
+
+            gl_FragColor = shadeSurface(hitPosition, rayDirection);
+            break;
+        }
+        previousRayLength = currentRayLength;
+        previousSide = side;
+#elif RENDER_MEAN_VALUE && RENDER_NORMALS == 0
+        // Accumulate weighted value for the mean value
+        valueSum += scaledValue * stepLength * stepWeight;
+        weightSum += stepLength * stepWeight;
+#elif RENDER_MAX_VALUE && RENDER_NORMALS == 0
+        // Keep the maximum value of the steps passing the mask
+        projectedValue = mix(projectedValue, max(projectedValue, scaledValue), stepWeight);
+        projectedWeight = max(projectedWeight, stepWeight);
+#elif RENDER_MIN_VALUE && RENDER_NORMALS == 0
+        // Keep the minimum value of the steps passing the mask
+        projectedValue = mix(projectedValue, min(projectedValue, scaledValue), stepWeight);
+        projectedWeight = max(projectedWeight, stepWeight);
+#else
+ #if ESTIMATE_NORMALS
+        vec3 gradient = estimateGradient(position, sampledValue);
+        vec3 normal = gradientToNormal(gradient);
+
+  #if RENDER_NORMALS
+        // Render the normal when hitting the first surface
+        if (stepWeight > 0.0) {
+            gl_FragColor = vec4(normal * 0.5 + vec3(0.5), 1.0);
+            break;
+        }
+  #endif
+ #endif
+
+ #if RENDER_NORMALS == 0
+        // Remap the value to the [0, 1] range
+        float normalizedValue = clamp((scaledValue - minPaletteValue) / (maxPaletteValue - minPaletteValue), 0.0, 1.0);
+
+  #if USE_TRANSFER_FUNCTION_2D
+        // Classify the value and the scaled gradient magnitude using the 2D transfer function
+        float gradientMagnitude = length(gradient) * abs(valueMultiplier);
+        float normalizedGradient = clamp((gradientMagnitude - minGradientMagnitude) / (maxGradientMagnitude - minGradientMagnitude), 0.0, 1.0);
+        vec4 classifiedColor = texture(transferFunction2D, vec2(normalizedValue, normalizedGradient));
+  #else
+        // Sample the palette to get color
+        vec4 classifiedColor = texture(palette, vec2(normalizedValue, 0.5));
+  #endif
+
+  #if USE_VOLUME_COLOR
+        // The sampled volume color replaces the classified color
+        classifiedColor.rgb = sampledChannels.rgb;
+  #endif
+
+  #if USE_TRANSFER_FUNCTION_2D || USE_PALETTE_OPACITY
+        // The classified alpha is an opacity curve which modulates the extinction
+        float opacity = classifiedColor.a;
+  #else
+        float opacity = 1.0;
+  #endif
+
+  #if USE_LABEL_MAP
+        vec4 labelColor = sampleLabelColor(position);
+   #if RENDER_LABELS
+        // Classify by the label color and opacity instead
+        classifiedColor.rgb = labelColor.rgb;
+        opacity = labelColor.a;
+   #elif LABEL_MAP_MODE == 2
+        // Mask the scan by the label opacity
+        opacity *= labelColor.a;
+   #else
+        // Tint the scan by the label color, using the label opacity as the tint strength
+        classifiedColor.rgb = mix(classifiedColor.rgb, classifiedColor.rgb * labelColor.rgb, labelColor.a);
+   #endif
+  #endif
+
+  #if USE_EXTINCTION_COEFFICIENT == 0
+        float alpha = opacity;
+  #elif USE_VALUE_AS_EXTINCTION_COEFFICIENT
+        // Calculate the blending alpha from the value as extinction coefficient
+        float alpha = 1.0 - exp(-scaledValue * opacity * extinctionMultiplier * stepLength);
+  #else
+        // Calculate the blending alpha from the extinction coefficient
+        float alpha = 1.0 - exp(-extinctionCoefficient * opacity * extinctionMultiplier * stepLength);
+  #endif
+        // If ignored, set 0 alpha
+        alpha *= stepWeight * alphaMultiplier;
+
+  #if RENDER_LABELS == 0
+        // Calculate edge opacity (fades out values near the cutoff range)
+        alpha *= smoothstep(0.0, cutoffFadeRange + 1e-6, min(scaledValue - minCutoffValue, maxCutoffValue - scaledValue));
+  #endif
+        alpha = clamp(alpha, 0.0, 1.0);
+
+        vec4 color = vec4(classifiedColor.rgb, alpha);
+
+  #if USE_SCATTERING
+        // Without lights the medium only absorbs (and emits)
+        vec3 scatteredLight = vec3(0.0);
+   #if USE_LIGHTS
+        // The classified color scatters the lights toward the camera
+        // Only visible steps scatter, since the lights may march shadow rays
+        if (alpha > 0.0) {
+            scatteredLight = calculateScattering(position, rayDirection);
+        }
+    #if FUSE_VOLUMES
+        // The fused volumes may be visible where the primary volume is not
+        bool hasScatteredLight = alpha > 0.0;
+    #endif
+   #endif
+        color.rgb *= scatteredLight;
+  #elif USE_LIGHTS
+        // Apply lighting to only color (with the specular highlights on top)
+        // Only visible steps are lit, since the lights may march shadow rays
+        if (alpha > 0.0) {
+            vec3 specularLight;
+            vec3 addedLights = calculateLighting(position, normal, specularLight);
+            color.rgb = color.rgb * addedLights + specularLight;
+        }
+  #endif
+
+  #if USE_EMISSION
+        // The classified color is emitted in proportion to the value inside the emission range and the step length
+        float emissionStrength = clamp((scaledValue - minEmissionValue) / (maxEmissionValue - minEmissionValue), 0.0, 1.0);
+        vec3 emittedColor = classifiedColor.rgb * emissionStrength * emissionMultiplier * stepLength * stepWeight;
+  #endif
+
+  #if FUSE_VOLUMES
+        // Fuse the premultiplied colors of the primary and the fused volumes
+        vec4 fusedColor = vec4(color.rgb * color.a, color.a);
+   #if USE_EMISSION
+        fusedColor.rgb += emittedColor;
+   #endif
+        // The loop bound is injected as a literal, since three.js only unrolls literal bounds
+        #pragma unroll_loop_start
+        for ( int i = 0; i < {fusedVolumeCount}; i ++ ) {
+            {
+                vec4 layerColor = fusedStepWeight * classifyFusedVolume(fusedVolumes[ i ], fusedVolumeAtlases[ i ], fusedPalettes[ i ],
+                    fusedUvOffsets0[ i ], fusedUvOffsets1[ i ], position, stepLength);
+   #if USE_SCATTERING
+    #if USE_LIGHTS
+                if (layerColor.a > 0.0 && !hasScatteredLight) {
+                    scatteredLight = calculateScattering(position, rayDirection);
+                    hasScatteredLight = true;
+                }
+    #endif
+                // The fused volume scatters the same light as the primary volume
+                layerColor.rgb *= scatteredLight;
+   #elif USE_LIGHTS
+                // Light the fused volume by its own gradient, only where it is visible since the lights may march shadow rays
+                if (layerColor.a > 0.0) {
+                    vec3 layerNormal = gradientToNormal(estimateFusedGradient(fusedVolumes[ i ], fusedVolumeAtlases[ i ],
+                        fusedUvOffsets0[ i ], fusedUvOffsets1[ i ], position));
+                    vec3 layerSpecularLight;
+                    vec3 layerLights = calculateLighting(position, layerNormal, layerSpecularLight);
+                    layerColor.rgb = layerColor.rgb * layerLights + layerSpecularLight * layerColor.a;
+                }
+   #endif
+   #if FUSION_MODE == 1
+                // Add the fused volume
+                fusedColor += layerColor;
+   #elif FUSION_MODE == 2
+                // Keep the maximum of the fused volumes
+                fusedColor = max(fusedColor, layerColor);
+   #else
+                // Alpha composite the fused volume over the previous volumes
+                fusedColor = layerColor + fusedColor * (1.0 - layerColor.a);
+   #endif
+            }
+        }
+        #pragma unroll_loop_end
+        fusedColor.a = min(fusedColor.a, 1.0);
+
+        // Front-to-back alpha blending of the premultiplied fused color
+        alphaBlendedColor += fusedColor * (1.0 - alphaBlendedColor.a);
+  #else
+        // Front-to-back alpha blending
+        alphaBlendedColor.rgb += color.rgb * color.a * (1.0 - alphaBlendedColor.a);
+   #if USE_EMISSION
+        // The emitted light is attenuated by the medium in front of it
+        alphaBlendedColor.rgb += emittedColor * (1.0 - alphaBlendedColor.a);
+   #endif
+        alphaBlendedColor.a += (1.0 - alphaBlendedColor.a) * color.a;
+  #endif
+ #endif
+#endif
+    }
+
+#if RENDER_NORMALS == 0
+ #if RENDER_VALUE_PROJECTION
+  #if RENDER_MEAN_VALUE
+    // Calculate the mean value
+    float projectedValue = valueSum / max(weightSum, 1e-6);
+    float alpha = step(minCutoffValue, projectedValue) * step(projectedValue, maxCutoffValue) * alphaMultiplier;
+  #else
+    // Only show the maximum or minimum value if any step passed the mask
+    float alpha = projectedWeight * alphaMultiplier;
+  #endif
+    float normalizedProjection = clamp((projectedValue - minPaletteValue) / (maxPaletteValue - minPaletteValue), 1e-7, 1.0 - 1e-7);
+
+    // Sample the projected color from the palette
+    alpha = clamp(alpha, 0.0, 1.0);
+    gl_FragColor = vec4(texture(palette, vec2(normalizedProjection, 0.5)).rgb * alpha, alpha);
+ #elif RENDER_ISOSURFACE == 0
+    // Use the alpha blended color
+    gl_FragColor = alphaBlendedColor;
+ #endif
+#endif
+#endif
+}`;
+
+/**
+ * Combined shader uniforms.
+ *
+ * Uniform properties:
+ *
+ * @property {THREE.Texture|null} depthTexture
+ *   - Depth texture for volumetric depth testing.
+ *     [Active only if USE_VOLUMETRIC_DEPTH_TEST is enabled]
+ *
+ * @property {THREE.Vector3} volumeOrigin
+ *   - The local-space origin of the volume.
+ *
+ * @property {THREE.Vector3} volumeSize
+ *   - The local-space size of the volume.
+ *     [Active only when USE_CUSTOM_VALUE_FUNCTION is enabled]
+ *
+ * @property {THREE.Data3DTexture|null} volumeAtlas
+ *   - The 3D texture containing packed volume data with 1 to 4 channels.
+ *     VALUE_CHANNEL selects the channel used as the value and USE_VOLUME_COLOR uses the RGB channels as color.
+ *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
+ *
+ * @property {THREE.Vector3} atlasResolution
+ *   - Number of volumes packed along each axis in the atlas.
+ *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
+ *
+ * @property {THREE.Vector3} volumeResolution
+ *   - Resolution (voxel count) of a single volume.
+ *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
+ *
+ * @property {THREE.Vector3} voxelSize
+ *   - The physical size of a single voxel.
+ *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
+ *
+ * @property {THREE.Data3DTexture|null} occupancyAtlas
+ *   - The 3D texture containing the min/max value of each brick in the volume atlas.
+ *     [Active only when USE_EMPTY_SPACE_SKIPPING is enabled]
+ *
+ * @property {THREE.Vector3} brickResolution
+ *   - Number of bricks along each axis in a single volume.
+ *     [Active only when USE_EMPTY_SPACE_SKIPPING is enabled]
+ *
+ * @property {number} brickSize
+ *   - Number of voxels along each side of a brick.
+ *     [Active only when USE_EMPTY_SPACE_SKIPPING is enabled]
+ *
+ * @property {THREE.Vector3} clipMin
+ *   - The 3 minimum clipping planes.
+ *
+ * @property {THREE.Vector3} clipMax
+ *   - The 3 maximum clipping planes.
+ *
+ * @property {THREE.Vector3} clipSphereCenter
+ *   - The local-space center of the clip sphere.
+ *     [Active only when USE_CLIP_SPHERE is enabled]
+ *
+ * @property {number} clipSphereRadius
+ *   - The local-space radius of the clip sphere.
+ *     [Active only when USE_CLIP_SPHERE is enabled]
+ *
+ * @property {THREE.Matrix4} clipBoxMatrix
+ *   - Transforms local-space positions into the unit cube (-0.5 to 0.5, like a BoxGeometry(1, 1, 1)) of the clip box,
+ *     e.g. the inverse world matrix of an object representing the box multiplied by the world matrix of the volume renderer.
+ *     [Active only when USE_CLIP_BOX is enabled]
+ *
+ * @property {number} timeCount
+ *   - Total number of volumes (timesteps) stored in the atlas.
+ *     [Active only when USE_CUSTOM_VALUE_FUNCTION is disabled]
+ *
+ * @property {number} fixedStepLength
+ *   - The constant ray step length in local units, or in voxels if STEP_LENGTH_IN_VOXELS is enabled.
+ *     [Active only when USE_FIXED_STEP_LENGTH is enabled]
+ *
+ * @property {number} time
+ *   - The current time, represented either as a fractional volume index or a time value for the custom function.
+ *
+ * @property {number} random
+ *   - A random value used when initializing rays.
+ *
+ * @property {THREE.Texture|null} palette
+ *   - Horizontal palette texture for mapping sampled values to colors.
+ *     With USE_PALETTE_OPACITY the alpha channel is an opacity curve modulating the extinction.
+ *     [Active only when RENDER_NORMALS is disabled]
+ *
+ * @property {number} minPaletteValue
+ *   - The minimum value used for palette mapping.
+ *     [Active only when RENDER_NORMALS is disabled]
+ *
+ * @property {number} maxPaletteValue
+ *   - The maximum value used for palette mapping.
+ *     [Active only when RENDER_NORMALS is disabled]
+ *
+ * @property {THREE.Texture|null} transferFunction2D
+ *   - 2D transfer function texture indexed by the normalized value (U) and gradient magnitude (V).
+ *     The RGB channels replace the palette color and the alpha channel modulates the extinction.
+ *     [Active only when USE_TRANSFER_FUNCTION_2D is enabled in alpha blending]
+ *
+ * @property {number} minGradientMagnitude
+ *   - The minimum gradient magnitude used for the 2D transfer function.
+ *     [Active only when USE_TRANSFER_FUNCTION_2D is enabled in alpha blending]
+ *
+ * @property {number} maxGradientMagnitude
+ *   - The maximum gradient magnitude used for the 2D transfer function.
+ *     [Active only when USE_TRANSFER_FUNCTION_2D is enabled in alpha blending]
+ *
+ * @property {number} minCutoffValue
+ *   - Minimum cutoff value. Values below this threshold are discarded.
+ *
+ * @property {number} maxCutoffValue
+ *   - Maximum cutoff value. Values above this threshold are discarded.
+ *
+ * @property {number} cutoffFadeRange
+ *   - Cutoff Fade Range over which the alpha fades to zero.
+ *
+ * @property {number} valueMultiplier
+ *   - Multiplier applied to sampled values.
+ *
+ * @property {number} valueAdded
+ *   - Value added to sampled values.
+ *
+ * @property {number} isoValue
+ *   - The value at which the isosurface is rendered.
+ *     [Active only when RENDER_ISOSURFACE or USE_SPHERE_TRACING is enabled]
+ *
+ * @property {number} hitEpsilon
+ *   - The signed distance below which a sphere traced surface is hit.
+ *     [Active only when USE_SPHERE_TRACING is enabled]
+ *
+ * @property {number} distanceScale
+ *   - Multiplier converting the scaled value into a local-space distance when sphere tracing.
+ *     [Active only when USE_SPHERE_TRACING is enabled]
+ *
+ * @property {number} opacityThreshold
+ *   - The accumulated alpha at which the ray stops marching.
+ *     [Active only when USE_EARLY_RAY_TERMINATION is enabled, RENDER_MEAN_VALUE, RENDER_MAX_VALUE, RENDER_MIN_VALUE, RENDER_ISOSURFACE, USE_SPHERE_TRACING and RENDER_NORMALS is disabled]
+ *
+ * @property {number} extinctionCoefficient
+ *   - Fixed extinction coefficient used for alpha blending.
+ *     [Active only when USE_EXTINCTION_COEFFICIENT is enabled, USE_VALUE_AS_EXTINCTION_COEFFICIENT and RENDER_NORMALS is disabled]
+ *
+ * @property {number} extinctionMultiplier
+ *   - Multiplier applied to the extinction coefficient.
+ *     [Active only when USE_EXTINCTION_COEFFICIENT is enabled and RENDER_NORMALS is disabled]
+ *
+ * @property {number} alphaMultiplier
+ *   - Multiplier applied to the final alpha value.
+ *     [Active only when RENDER_NORMALS is disabled]
+ *
+ * @property {THREE.Vector3[]} environmentSH
+ *   - The 9 coefficients of the order 2 spherical harmonics of the environment radiance (see updateEnvironmentLighting).
+ *     [Active only when USE_ENVIRONMENT_LIGHTING is enabled]
+ *
+ * @property {number} environmentIntensity
+ *   - Multiplier applied to the environment lighting.
+ *     [Active only when USE_ENVIRONMENT_LIGHTING is enabled]
+ *
+ * @property {number} shininess
+ *   - The Blinn-Phong specular exponent.
+ *     [Active only when USE_SPECULAR is enabled]
+ *
+ * @property {number} specularStrength
+ *   - The strength of the specular highlights.
+ *     [Active only when USE_SPECULAR is enabled]
+ *
+ * @property {number} scatteringAnisotropy
+ *   - The Henyey-Greenstein anisotropy in the [-1, 1] range (negative for back, 0 for isotropic and positive for forward scattering).
+ *     [Active only when USE_SCATTERING is enabled]
+ *
+ * @property {number} scatteringAlbedo
+ *   - The fraction of the extinction which scatters light instead of absorbing it.
+ *     [Active only when USE_SCATTERING is enabled]
+ *
+ * @property {number} minEmissionValue
+ *   - The scaled value at which the emission starts.
+ *     [Active only when USE_EMISSION is enabled]
+ *
+ * @property {number} maxEmissionValue
+ *   - The scaled value at which the emission reaches full strength.
+ *     [Active only when USE_EMISSION is enabled]
+ *
+ * @property {number} emissionMultiplier
+ *   - The light emitted per local unit at full strength (multiplying the classified color).
+ *     [Active only when USE_EMISSION is enabled]
+ *
+ * @property {THREE.Data3DTexture|null} gradientAtlas
+ *   - The 3D texture containing the precomputed value gradient of each voxel (per voxel, not per local unit),
+ *     sharing the layout of the volume atlas (see createGradientAtlasTexture).
+ *     [Active only when USE_GRADIENT_ATLAS is enabled]
+ *
+ * @property {THREE.Data3DTexture|null} labelAtlas
+ *   - The 3D texture containing the label of each voxel, sharing the layout of the volume atlas.
+ *     [Active only when LABEL_MAP_MODE is 'mask' or 'tint' in alpha blending]
+ *
+ * @property {THREE.Texture|null} labelLookupTable
+ *   - Horizontal lookup table texture with the color and opacity of each label at the texel of its index.
+ *     Hidden labels have zero opacity (see LabelLookupTable.js).
+ *     [Active only when LABEL_MAP_MODE is set in alpha blending]
+ *
+ * @property {Object[]} fusedVolumes
+ *   - The parameters of each fused volume, added by addFusedVolume. Each object contains the atlas layout
+ *     (volumeOrigin, atlasResolution, volumeResolution, voxelSize, timeCount), the editable volumeMatrix transforming
+ *     local-space positions into the space of the fused volume origin and voxel size, and the editable
+ *     minPaletteValue, maxPaletteValue, minCutoffValue, maxCutoffValue, valueMultiplier, valueAdded,
+ *     extinctionMultiplier and alphaMultiplier of the fused volume.
+ *     [Active only when fused volumes exist in alpha blending]
+ *
+ * @property {THREE.Data3DTexture[]} fusedVolumeAtlases
+ *   - The single-channel 3D atlas texture of each fused volume.
+ *     [Active only when fused volumes exist in alpha blending]
+ *
+ * @property {Array<THREE.Texture|null>} fusedPalettes
+ *   - The horizontal palette texture of each fused volume.
+ *     [Active only when fused volumes exist in alpha blending]
+ *
+ * @property {number} normalEpsilon
+ *   - Real-unit epsilon used for estimating normals via forward differences.
+ *     [Inactive when USE_GRADIENT_ATLAS is enabled. Otherwise active when RENDER_NORMALS is enabled, or when RENDER_MEAN_VALUE, RENDER_MAX_VALUE, RENDER_MIN_VALUE and USE_SCATTERING are disabled and any lights are enabled,
+ *     or when USE_TRANSFER_FUNCTION_2D is enabled in alpha blending]
+ */
+
+export default class VolumeRenderer extends THREE.Mesh {
+    uniforms = {
+        depthTexture:          { value: null },
+
+        volumeOrigin:          { value: new THREE.Vector3() },
+        volumeSize:            { value: new THREE.Vector3() },
+
+        volumeAtlas:           { value: null },
+        atlasResolution:       { value: new THREE.Vector3() },
+        volumeResolution:      { value: new THREE.Vector3() },
+        voxelSize:             { value: new THREE.Vector3() },
+        occupancyAtlas:        { value: null },
+        brickResolution:       { value: new THREE.Vector3() },
+        brickSize:             { value: 8 },
+        clipMin:               { value: new THREE.Vector3(-1e10, -1e10, -1e10) },
+        clipMax:               { value: new THREE.Vector3(1e10, 1e10, 1e10) },
+        clipSphereCenter:      { value: new THREE.Vector3() },
+        clipSphereRadius:      { value: 0.5 },
+        clipBoxMatrix:         { value: new THREE.Matrix4() },
+        timeCount:             { value: 0.0 },
+        fixedStepLength:       { value: 0.02 },
+
+        time:                  { value: 0.0 },
+        random:                { value: 0.0 },
+
+        normalEpsilon:         { value: 0.01 },
+
+        palette:               { value: null },
+        minPaletteValue:       { value: 0.0 },
+        maxPaletteValue:       { value: 1.0 },
+        transferFunction2D:    { value: null },
+        minGradientMagnitude:  { value: 0.0 },
+        maxGradientMagnitude:  { value: 1.0 },
+        minCutoffValue:        { value: 1e-3 },
+        maxCutoffValue:        { value: 1.0 - 1e-3 },
+        cutoffFadeRange:       { value: 0.0 },
+        opacityThreshold:      { value: 0.99 },
+        isoValue:              { value: 0.5 },
+        hitEpsilon:            { value: 1e-3 },
+        distanceScale:         { value: 1.0 },
+        valueMultiplier:       { value: 1.0 },
+        valueAdded:            { value: 0.0 },
+
+        extinctionCoefficient: { value: 1.0 },
+        extinctionMultiplier:  { value: 1.0 },
+
+        alphaMultiplier:       { value: 1.0 },
+
+        environmentSH:         { value: new THREE.SphericalHarmonics3().coefficients },
+        environmentIntensity:  { value: 1.0 },
+
+        shininess:             { value: 30.0 },
+        specularStrength:      { value: 0.5 },
+
+        scatteringAnisotropy:  { value: 0.0 },
+        scatteringAlbedo:      { value: 1.0 },
+        minEmissionValue:      { value: 0.5 },
+        maxEmissionValue:      { value: 1.0 },
+        emissionMultiplier:    { value: 1.0 },
+
+        gradientAtlas:         { value: null },
+
+        labelAtlas:            { value: null },
+        labelLookupTable:      { value: null },
+
+        fusedVolumes:          { value: [] },
+        fusedVolumeAtlases:    { value: [], data: [] },
+        fusedPalettes:         { value: [] },
+    };
+
+    constructor() {
+        super(new THREE.PlaneGeometry(2, 2));
+
+        this.name = 'VolumeRenderer';
+
+        // Render the volume late as it acts as a postprocessing effect
+        this.renderOrder = 1000;
+
+        this.updateMaterial();
+    }
+
+    /**
+     * Creates a new shader material based on the provided options.
+     * The clipping planes (clippingPlanes and clipIntersection) of the previous material are kept.
+     *
+     * @param {Object} [options={}] - An object containing configuration options.
+     * @param {string|null} [options.customFunction=null] - A custom shader function to inject into the fragment shader.
+     * @param {boolean} [options.useVolumetricDepthTest=false] - Whether to enable volumetric depth testing.
+     * @param {boolean} [options.useProxyGeometry=false] - Whether to rasterize the back faces of the (clipped) volume bounding box instead of a fullscreen quad,
+     *                                                   so fragments only run where the volume can be hit, and frustum culling and sorting use the real bounds.
+     *                                                   Call updateProxyGeometry after changing the volumeOrigin, volumeSize, clipMin or clipMax uniforms.
+     * @param {boolean} [options.useExtinctionCoefficient=true] - Whether to use the extinction coefficient in alpha blending.
+     * @param {boolean} [options.useValueAsExtinctionCoefficient=false] - Whether to use the sampled value as the extinction coefficient.
+     * @param {boolean} [options.usePointLights=false] - Whether to enable point lights in the scene.
+     * @param {boolean} [options.useDirectionalLights=false] - Whether to enable directional lights in the scene.
+     * @param {boolean} [options.useSpotLights=false] - Whether to enable spot lights in the scene.
+     * @param {boolean} [options.useHemisphereLights=false] - Whether to enable hemisphere lights in the scene.
+     * @param {boolean} [options.useAmbientLights=false] - Whether to enable ambient lights in the scene.
+     * @param {boolean} [options.useEnvironmentLighting=false] - Whether to add image-based ambient lighting from the environment spherical harmonics
+     *                                                        (see updateEnvironmentLighting).
+     * @param {boolean} [options.useSpecular=false] - Whether to add Blinn-Phong specular highlights of the point, spot and directional lights.
+     * @param {boolean} [options.useRandomStart=true] - Whether to randomize the ray start position to 'fuzz' sharp edges.
+     * @param {boolean} [options.useEmptySpaceSkipping=false] - Whether to skip atlas bricks with no values inside the cutoff range.
+     * @param {boolean} [options.usePaletteOpacity=false] - Whether the palette alpha channel is an opacity curve modulating the extinction.
+     * @param {boolean} [options.useTransferFunction2D=false] - Whether to classify color and opacity by value and gradient magnitude using a 2D transfer function.
+     * @param {boolean} [options.useVolumeColor=false] - Whether to use the sampled RGB atlas channels as color instead of the palette (in alpha blending and surface modes).
+     * @param {number} [options.valueChannel=0] - The atlas channel (0 to 3) used as the value for cutoffs, extinction, surfaces and projections.
+     * @param {string|null} [options.labelMapMode=null] - How labels are applied in alpha blending: 'labels' renders the volume atlas as a label map,
+     *                                                  'mask' and 'tint' mask or tint the scan by the label atlas. Ignored when using a custom function.
+     * @param {string} [options.fusionMode='composite'] - How fused volumes are blended with the primary volume at each step: 'composite', 'additive' or 'max'.
+     * @param {boolean} [options.useClipSphere=false] - Whether to clip the volume to the clip sphere.
+     * @param {boolean} [options.invertClipSphere=false] - Whether to cut away the inside of the clip sphere instead.
+     * @param {boolean} [options.useClipBox=false] - Whether to clip the volume to the oriented clip box.
+     * @param {boolean} [options.invertClipBox=false] - Whether to cut away the inside of the clip box instead.
+     * @param {boolean} [options.useScattering=false] - Whether to shade alpha blending with single scattering of the lights (Henyey-Greenstein phase function)
+     *                                                instead of the diffuse lighting of the gradient.
+     * @param {boolean} [options.useEmission=false] - Whether the medium emits light inside the emission value range (requires useScattering).
+     * @param {boolean} [options.useSelfShadowing=false] - Whether to attenuate the lights by marching shadow rays through the medium (Beer-Lambert)
+     *                                                   in alpha blending with lights and extinction coefficients.
+     * @param {number} [options.shadowSteps=16] - The number of steps of each shadow ray.
+     * @param {boolean} [options.useGradientAtlas=false] - Whether to fetch normals from the precomputed gradient atlas (see createGradientAtlasTexture)
+     *                                                   instead of estimating them with forward differences. Ignored with a custom function.
+     * @param {string|null} [options.tricubicFilter=null] - Whether to sample the volume (and gradient) atlas with tricubic filtering instead of trilinear filtering:
+     *                                                    'b-spline' (smooth, 8 fetches) or 'catmull-rom' (sharp, 27 fetches).
+     *                                                    Requires an atlas with linear filtering. Ignored with a custom function, and disables empty space skipping.
+     * @param {boolean} [options.useEarlyRayTermination=false] - Whether to stop alpha blending once the accumulated alpha reaches the opacity threshold.
+     * @param {boolean} [options.renderMeanValue=false] - Whether to accumulate and render the mean value across the volume.
+     * @param {boolean} [options.renderMaxValue=false] - Whether to render the maximum value across the volume (MIP).
+     * @param {boolean} [options.renderMinValue=false] - Whether to render the minimum value across the volume (MinIP).
+     * @param {boolean} [options.renderIsosurface=false] - Whether to render a lit isosurface at the first crossing of the iso value.
+     * @param {number} [options.isoRefinementSteps=6] - The number of bisection steps used to refine the isosurface hit.
+     * @param {boolean} [options.useSphereTracing=false] - Whether to sphere trace the scaled value minus the iso value as a signed distance field.
+     * @param {number} [options.sphereTracingSteps=128] - The maximum number of sphere tracing iterations.
+     * @param {boolean} [options.invertNormals=false] - Whether to invert all surface normals.
+     * @param {boolean} [options.renderNormals=false] - Whether to render normals at the first surface hit (or at the isosurface).
+     * @param {boolean} [options.useFixedStepLength=false] - Whether to use a constant step length instead of splitting the ray into raySteps.
+     * @param {boolean} [options.stepLengthInVoxels=false] - Whether the fixed step length is measured in voxels instead of local units.
+     * @param {number} [options.raySteps=64] - The number of steps to split the ray into across the volume (the maximum step count with a fixed step length).
+     *                                          With fused volumes, the primary volume is still split into raySteps steps and the step cap is raySteps per volume.
+     */
+    updateMaterial(options = Object.create(null)) {
+        const customFunction = options.customFunction ?? null;
+
+        // Defines changes how the shader is compiled
+        const defines = {
+            USE_CUSTOM_VALUE_FUNCTION: +(customFunction !== null),
+            USE_VOLUMETRIC_DEPTH_TEST: +(options.useVolumetricDepthTest ?? false),
+            USE_PROXY_GEOMETRY: +(options.useProxyGeometry ?? false),
+            RENDER_MEAN_VALUE: +(options.renderMeanValue ?? false),
+            RENDER_MAX_VALUE: +(options.renderMaxValue ?? false),
+            RENDER_MIN_VALUE: +(options.renderMinValue ?? false),
+            RENDER_ISOSURFACE: +(options.renderIsosurface ?? false),
+            ISO_REFINEMENT_STEPS: options.isoRefinementSteps ?? 6,
+            USE_SPHERE_TRACING: +(options.useSphereTracing ?? false),
+            SPHERE_TRACING_STEPS: options.sphereTracingSteps ?? 128,
+            USE_EXTINCTION_COEFFICIENT: +(options.useExtinctionCoefficient ?? true),
+            USE_VALUE_AS_EXTINCTION_COEFFICIENT: +(options.useValueAsExtinctionCoefficient ?? false),
+            USE_POINT_LIGHTS: +(options.usePointLights ?? false),
+            USE_DIR_LIGHTS: +(options.useDirectionalLights ?? false),
+            USE_SPOT_LIGHTS: +(options.useSpotLights ?? false),
+            USE_HEMI_LIGHTS: +(options.useHemisphereLights ?? false),
+            USE_AMBIENT_LIGHTS: +(options.useAmbientLights ?? false),
+            USE_ENVIRONMENT_LIGHTING: +(options.useEnvironmentLighting ?? false),
+            USE_SPECULAR: +(options.useSpecular ?? false),
+            USE_RANDOM_START: +(options.useRandomStart ?? true),
+            USE_EMPTY_SPACE_SKIPPING: +(customFunction === null && (options.useEmptySpaceSkipping ?? false)),
+            USE_GRADIENT_ATLAS: +(customFunction === null && (options.useGradientAtlas ?? false)),
+            TRICUBIC_FILTER: customFunction === null ? tricubicFilters.indexOf(options.tricubicFilter ?? null) + 1 : 0,
+            USE_EARLY_RAY_TERMINATION: +(options.useEarlyRayTermination ?? false),
+            USE_SELF_SHADOWING: +(options.useSelfShadowing ?? false),
+            USE_SCATTERING: +(options.useScattering ?? false),
+            USE_EMISSION: +(options.useEmission ?? false),
+            SHADOW_STEPS: options.shadowSteps ?? 16,
+            USE_PALETTE_OPACITY: +(options.usePaletteOpacity ?? false),
+            USE_TRANSFER_FUNCTION_2D: +(options.useTransferFunction2D ?? false),
+            USE_VOLUME_COLOR: +(customFunction === null && (options.useVolumeColor ?? false)),
+            VALUE_CHANNEL: options.valueChannel ?? 0,
+            FUSED_VOLUME_COUNT: this.uniforms.fusedVolumes.value.length,
+            FUSION_MODE: fusionModes.indexOf(options.fusionMode ?? 'composite'),
+            LABEL_MAP_MODE: customFunction === null ? labelMapModes.indexOf(options.labelMapMode ?? null) + 1 : 0,
+            USE_CLIP_SPHERE: +(options.useClipSphere ?? false),
+            INVERT_CLIP_SPHERE: +(options.invertClipSphere ?? false),
+            USE_CLIP_BOX: +(options.useClipBox ?? false),
+            INVERT_CLIP_BOX: +(options.invertClipBox ?? false),
+            INVERT_NORMALS: +(options.invertNormals ?? false),
+            RENDER_NORMALS: +(options.renderNormals ?? false),
+            USE_FIXED_STEP_LENGTH: +(options.useFixedStepLength ?? false),
+            STEP_LENGTH_IN_VOXELS: +(customFunction === null && (options.stepLengthInVoxels ?? false)),
+            RAY_STEPS: options.raySteps ?? 64,
+        };
+
+        // Only a single value projection or surface can be rendered at once
+        const projection = defines.RENDER_MEAN_VALUE + defines.RENDER_MAX_VALUE + defines.RENDER_MIN_VALUE;
+        const surface = defines.RENDER_ISOSURFACE + defines.USE_SPHERE_TRACING;
+        if (projection + surface > 1) {
+            throw new Error('Only one of renderMeanValue, renderMaxValue, renderMinValue, renderIsosurface and useSphereTracing can be enabled');
+        }
+        const alphaBlending = !projection && !surface && !defines.RENDER_NORMALS;
+
+        if (!Number.isInteger(defines.VALUE_CHANNEL) || defines.VALUE_CHANNEL < 0 || defines.VALUE_CHANNEL > 3) {
+            throw new Error(`Invalid value channel ${defines.VALUE_CHANNEL}`);
+        }
+
+        if (defines.FUSION_MODE < 0) {
+            throw new Error(`Unsupported fusion mode ${options.fusionMode}`);
+        }
+
+        if ((options.labelMapMode ?? null) !== null && !labelMapModes.includes(options.labelMapMode)) {
+            throw new Error(`Unsupported label map mode ${options.labelMapMode}`);
+        }
+
+        if ((options.tricubicFilter ?? null) !== null && !tricubicFilters.includes(options.tricubicFilter)) {
+            throw new Error(`Unsupported tricubic filter ${options.tricubicFilter}`);
+        }
+
+        // Tricubic filtering reaches beyond the voxels covered by the occupancy bricks
+        if (defines.TRICUBIC_FILTER > 0) {
+            defines.USE_EMPTY_SPACE_SKIPPING = 0;
+        }
+
+        // Rendered labels ignore the cutoff range which empty space skipping relies on
+        const labelMap = alphaBlending && defines.LABEL_MAP_MODE > 0;
+        if (labelMap && defines.LABEL_MAP_MODE === 1) {
+            defines.USE_EMPTY_SPACE_SKIPPING = 0;
+        }
+
+        // Fused volumes are only blended in alpha blending, and their content is not covered by the occupancy atlas
+        const fusion = alphaBlending && defines.FUSED_VOLUME_COUNT > 0;
+        if (fusion) {
+            defines.USE_EMPTY_SPACE_SKIPPING = 0;
+        }
+
+        const lights = !!defines.USE_POINT_LIGHTS || !!defines.USE_DIR_LIGHTS || !!defines.USE_SPOT_LIGHTS ||
+            !!defines.USE_HEMI_LIGHTS || !!defines.USE_AMBIENT_LIGHTS || !!defines.USE_ENVIRONMENT_LIGHTING;
+
+        // Scattering and emission replace the lighting of alpha blending
+        if (!alphaBlending) {
+            defines.USE_SCATTERING = 0;
+        }
+        if (!defines.USE_SCATTERING) {
+            defines.USE_EMISSION = 0;
+        }
+
+        // Specular highlights need the gradient lighting model
+        if (!lights || defines.USE_SCATTERING || defines.RENDER_NORMALS || projection) {
+            defines.USE_SPECULAR = 0;
+        }
+
+        // Shadow rays attenuate the lights of alpha blending by the extinction coefficient
+        if (!alphaBlending || !lights || !defines.USE_EXTINCTION_COEFFICIENT) {
+            defines.USE_SELF_SHADOWING = 0;
+        }
+
+        // Put together a new uniforms object referencing only the relevant uniforms
+        const uniforms = lights ? THREE.UniformsUtils.merge([THREE.UniformsLib['lights'], {}]) : {};
+        uniforms.volumeOrigin = this.uniforms.volumeOrigin;
+        uniforms.time = this.uniforms.time;
+        uniforms.random = this.uniforms.random;
+        uniforms.minCutoffValue = this.uniforms.minCutoffValue;
+        uniforms.maxCutoffValue = this.uniforms.maxCutoffValue;
+        uniforms.cutoffFadeRange = this.uniforms.cutoffFadeRange;
+        uniforms.valueMultiplier = this.uniforms.valueMultiplier;
+        uniforms.valueAdded = this.uniforms.valueAdded;
+        uniforms.clipMin = this.uniforms.clipMin;
+        uniforms.clipMax = this.uniforms.clipMax;
+
+        if (defines.USE_CLIP_SPHERE) {
+            uniforms.clipSphereCenter = this.uniforms.clipSphereCenter;
+            uniforms.clipSphereRadius = this.uniforms.clipSphereRadius;
+        }
+
+        if (defines.USE_CLIP_BOX) {
+            uniforms.clipBoxMatrix = this.uniforms.clipBoxMatrix;
+        }
+
+        if (defines.USE_FIXED_STEP_LENGTH) {
+            uniforms.fixedStepLength = this.uniforms.fixedStepLength;
+        }
+
+        if (defines.RENDER_NORMALS || (!projection && !defines.USE_SCATTERING && lights) ||
+            (alphaBlending && defines.USE_TRANSFER_FUNCTION_2D)) {
+            if (defines.USE_GRADIENT_ATLAS) {
+                // The gradients are precomputed from a single channel
+                const gradientChannel = this.uniforms.gradientAtlas.valueChannel;
+                if (this.uniforms.gradientAtlas.value !== null && gradientChannel !== defines.VALUE_CHANNEL) {
+                    throw new Error(`The gradient atlas was computed from value channel ${gradientChannel} instead of ${defines.VALUE_CHANNEL}`);
+                }
+                uniforms.gradientAtlas = this.uniforms.gradientAtlas;
+            } else {
+                uniforms.normalEpsilon = this.uniforms.normalEpsilon;
+            }
+        } else {
+            defines.USE_GRADIENT_ATLAS = 0;
+        }
+
+        if (!defines.RENDER_NORMALS) {
+            uniforms.palette = this.uniforms.palette;
+            uniforms.minPaletteValue = this.uniforms.minPaletteValue;
+            uniforms.maxPaletteValue = this.uniforms.maxPaletteValue;
+            uniforms.alphaMultiplier = this.uniforms.alphaMultiplier;
+        }
+
+        if (defines.USE_VOLUMETRIC_DEPTH_TEST) {
+            uniforms.depthTexture = this.uniforms.depthTexture;
+        }
+
+        if (defines.USE_CUSTOM_VALUE_FUNCTION) {
+            uniforms.volumeSize = this.uniforms.volumeSize;
+        } else {
+            uniforms.volumeAtlas = this.uniforms.volumeAtlas;
+            uniforms.atlasResolution = this.uniforms.atlasResolution;
+            uniforms.volumeResolution = this.uniforms.volumeResolution;
+            uniforms.voxelSize = this.uniforms.voxelSize;
+            uniforms.timeCount = this.uniforms.timeCount;
+
+            if (defines.USE_EMPTY_SPACE_SKIPPING) {
+                // The brick ranges are computed from a single channel
+                const occupancyChannel = this.uniforms.occupancyAtlas.valueChannel;
+                if (this.uniforms.occupancyAtlas.value !== null && occupancyChannel !== defines.VALUE_CHANNEL) {
+                    throw new Error(`The occupancy atlas was computed from value channel ${occupancyChannel} instead of ${defines.VALUE_CHANNEL}`);
+                }
+                uniforms.occupancyAtlas = this.uniforms.occupancyAtlas;
+                uniforms.brickResolution = this.uniforms.brickResolution;
+                uniforms.brickSize = this.uniforms.brickSize;
+            }
+        }
+
+        if (surface) {
+            uniforms.isoValue = this.uniforms.isoValue;
+        }
+
+        if (defines.USE_SPHERE_TRACING) {
+            uniforms.hitEpsilon = this.uniforms.hitEpsilon;
+            uniforms.distanceScale = this.uniforms.distanceScale;
+        }
+
+        if (defines.USE_TRANSFER_FUNCTION_2D && alphaBlending) {
+            uniforms.transferFunction2D = this.uniforms.transferFunction2D;
+            uniforms.minGradientMagnitude = this.uniforms.minGradientMagnitude;
+            uniforms.maxGradientMagnitude = this.uniforms.maxGradientMagnitude;
+        }
+
+        if (defines.USE_EARLY_RAY_TERMINATION && alphaBlending) {
+            uniforms.opacityThreshold = this.uniforms.opacityThreshold;
+        }
+
+        if (labelMap) {
+            uniforms.labelLookupTable = this.uniforms.labelLookupTable;
+            if (defines.LABEL_MAP_MODE > 1) {
+                uniforms.labelAtlas = this.uniforms.labelAtlas;
+            }
+        }
+
+        if (fusion) {
+            uniforms.fusedVolumes = this.uniforms.fusedVolumes;
+            uniforms.fusedVolumeAtlases = this.uniforms.fusedVolumeAtlases;
+            uniforms.fusedPalettes = this.uniforms.fusedPalettes;
+        }
+
+        if (defines.USE_ENVIRONMENT_LIGHTING) {
+            uniforms.environmentSH = this.uniforms.environmentSH;
+            uniforms.environmentIntensity = this.uniforms.environmentIntensity;
+        }
+
+        if (defines.USE_SPECULAR) {
+            uniforms.shininess = this.uniforms.shininess;
+            uniforms.specularStrength = this.uniforms.specularStrength;
+        }
+
+        if (defines.USE_SCATTERING) {
+            uniforms.scatteringAnisotropy = this.uniforms.scatteringAnisotropy;
+            uniforms.scatteringAlbedo = this.uniforms.scatteringAlbedo;
+        }
+
+        if (defines.USE_EMISSION) {
+            uniforms.minEmissionValue = this.uniforms.minEmissionValue;
+            uniforms.maxEmissionValue = this.uniforms.maxEmissionValue;
+            uniforms.emissionMultiplier = this.uniforms.emissionMultiplier;
+        }
+
+        if (alphaBlending) {
+            if (!defines.USE_VALUE_AS_EXTINCTION_COEFFICIENT) {
+                uniforms.extinctionCoefficient = this.uniforms.extinctionCoefficient;
+            }
+            uniforms.extinctionMultiplier = this.uniforms.extinctionMultiplier;
+        }
+
+        // Keep the clipping planes of the old material, which three.js passes to the shader in view space
+        const clippingPlanes = this.material?.clippingPlanes ?? null;
+        const clipIntersection = this.material?.clipIntersection ?? false;
+
+        // Dispose of the old material
+        if (this.material) {
+            this.material.dispose();
+        }
+
+        // Create the new material
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader: (defines.USE_CUSTOM_VALUE_FUNCTION ?
+                fragmentShader.replace('{function}', customFunction) : fragmentShader)
+                .replaceAll('{fusedVolumeCount}', defines.FUSED_VOLUME_COUNT),
+            uniforms,
+            defines,
+            depthTest: false,
+            depthWrite: false,
+            transparent: true,
+            premultipliedAlpha: true,
+            lights,
+            clipping: true,
+            clippingPlanes,
+            clipIntersection,
+            // Back faces cover the same pixels as the front faces of the box, and remain when the camera is inside it
+            side: defines.USE_PROXY_GEOMETRY ? THREE.BackSide : THREE.FrontSide,
+        });
+
+        this.updateProxyGeometry();
+    }
+
+    /**
+     * Fits the proxy geometry to the current volume bounds (the volume box and the boxes of the fused volumes, clipped by clipMin and clipMax),
+     * or restores the fullscreen quad when the useProxyGeometry option is disabled.
+     * Called by updateMaterial and createAtlasTexture, and should be called after editing the
+     * volumeOrigin, volumeSize, clipMin or clipMax uniforms when using proxy geometry.
+     */
+    updateProxyGeometry() {
+        this.geometry.dispose();
+
+        if (!this.material.defines.USE_PROXY_GEOMETRY) {
+            // The fullscreen quad covers the screen wherever the object is placed
+            this.geometry = new THREE.PlaneGeometry(2, 2);
+            this.frustumCulled = false;
+            return;
+        }
+
+        // Calculate the volume box like the fragment shader (atlas voxels are centered)
+        const volumeMin = this.uniforms.volumeOrigin.value.clone();
+        const volumeMax = this.material.defines.USE_CUSTOM_VALUE_FUNCTION ?
+            volumeMin.clone().add(this.uniforms.volumeSize.value) :
+            this.uniforms.volumeResolution.value.clone().subScalar(1).multiply(this.uniforms.voxelSize.value).add(volumeMin);
+        const box = new THREE.Box3(volumeMin, volumeMax);
+
+        // Include the fused volumes, which the rays reach wherever they are placed
+        for (const fusedVolume of this.uniforms.fusedVolumes.value) {
+            const fusedMax = fusedVolume.volumeResolution.clone().subScalar(1).multiply(fusedVolume.voxelSize).add(fusedVolume.volumeOrigin);
+            const fusedBox = new THREE.Box3(fusedVolume.volumeOrigin.clone(), fusedMax);
+            box.union(fusedBox.applyMatrix4(fusedVolume.volumeMatrix.clone().invert()));
+        }
+
+        const boxMin = box.min.max(this.uniforms.clipMin.value);
+        const boxMax = box.max.min(this.uniforms.clipMax.value);
+
+        const size = boxMax.clone().sub(boxMin).max(new THREE.Vector3());
+        const center = boxMin.clone().add(boxMax).multiplyScalar(0.5);
+
+        this.geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+        this.geometry.translate(center.x, center.y, center.z);
+
+        // The box has the real bounds, so three.js can cull and sort the volume
+        this.frustumCulled = true;
+    }
+
+    /**
+     * Creates a half-precision 3D atlas texture and updates the material uniforms.
+     * This function packs one or more "volumes" into a single 3D texture
+     * by stacking them along the X, Y, and Z axes in an atlas-like layout.
+     *
+     * Atlases may have 1 (R), 2 (RG), 3 (RGB) or 4 (RGBA) channels.
+     * RGB atlases are stored as RGBA with an alpha of 1.
+     *
+     * A coarse occupancy atlas storing the min/max value of each brick of voxels
+     * is created alongside it for empty space skipping. Only the value channel is considered,
+     * so call updateOccupancyAtlasTexture when the valueChannel option changes.
+     *
+     * @param {THREE.Vector3} volumeResolution - The resolution of one volume in voxels.
+     * @param {THREE.Vector3} volumeOrigin     - The local origin of the volume.
+     * @param {THREE.Vector3} voxelSize        - The physical size of a single voxel.
+     * @param {number}        timeCount        - Total number of volumes (timesteps) in the atlas.
+     * @param {number}        textureFilter    - The three.js texture interpolation mode. Defaults to THREE.LinearFilter.
+     * @param {number}        brickSize        - The number of voxels along each side of an occupancy brick. Defaults to 8.
+     * @param {number}        channelCount     - The number of channels per voxel (1 to 4). Defaults to 1.
+     * @param {number}        valueChannel     - The channel (0 to 3) used as the value, matching the valueChannel option. Defaults to 0.
+     */
+    createAtlasTexture(volumeResolution, volumeOrigin, voxelSize, timeCount, textureFilter = THREE.LinearFilter, brickSize = 8, channelCount = 1, valueChannel = 0) {
+        this.#validateValueChannel(valueChannel, channelCount);
+
+        const { texture, voxels, atlasResolution } = this.#createAtlas(volumeResolution, timeCount, textureFilter, channelCount);
+
+        // Calculate how many bricks cover a single volume
+        const brickResolution = new THREE.Vector3(
+            Math.ceil(volumeResolution.x / brickSize),
+            Math.ceil(volumeResolution.y / brickSize),
+            Math.ceil(volumeResolution.z / brickSize)
+        );
+
+        // Create a Float32Array to store the min/max value of every brick
+        const brickCount = brickResolution.x * brickResolution.y * brickResolution.z * atlasResolution.x * atlasResolution.y * atlasResolution.z;
+        const bricks = new Float32Array(brickCount * 2);
+
+        // Create the 3D occupancy texture using the same atlas layout
+        const occupancyTexture = new THREE.Data3DTexture(bricks,
+            brickResolution.x * atlasResolution.x,
+            brickResolution.y * atlasResolution.y,
+            brickResolution.z * atlasResolution.z);
+        occupancyTexture.format = THREE.RGFormat;
+        occupancyTexture.type = THREE.FloatType;
+        occupancyTexture.minFilter = THREE.NearestFilter;
+        occupancyTexture.magFilter = THREE.NearestFilter;
+        occupancyTexture.wrapS = THREE.ClampToEdgeWrapping;
+        occupancyTexture.wrapT = THREE.ClampToEdgeWrapping;
+        occupancyTexture.wrapR = THREE.ClampToEdgeWrapping;
+        occupancyTexture.needsUpdate = true;
+
+        // Dispose of old textures
+        if (this.uniforms.volumeAtlas.value !== null) {
+            this.uniforms.volumeAtlas.value.dispose();
+        }
+        if (this.uniforms.occupancyAtlas.value !== null) {
+            this.uniforms.occupancyAtlas.value.dispose();
+        }
+        // The label and gradient atlases no longer match the atlas layout
+        if (this.uniforms.labelAtlas.value !== null) {
+            this.uniforms.labelAtlas.value.dispose();
+            this.uniforms.labelAtlas.value = null;
+            this.uniforms.labelAtlas.data = null;
+        }
+        if (this.uniforms.gradientAtlas.value !== null) {
+            this.uniforms.gradientAtlas.value.dispose();
+            this.uniforms.gradientAtlas.value = null;
+            this.uniforms.gradientAtlas.data = null;
+        }
+
+        // Update uniforms
+        this.uniforms.volumeAtlas.value = texture;
+        this.uniforms.volumeAtlas.data = voxels;
+        this.uniforms.volumeAtlas.channelCount = channelCount;
+        this.uniforms.atlasResolution.value.copy(atlasResolution);
+        this.uniforms.volumeResolution.value.copy(volumeResolution);
+        this.uniforms.volumeOrigin.value.copy(volumeOrigin);
+        this.uniforms.voxelSize.value.copy(voxelSize);
+        this.uniforms.timeCount.value = timeCount;
+        this.uniforms.occupancyAtlas.value = occupancyTexture;
+        this.uniforms.occupancyAtlas.data = bricks;
+        this.uniforms.occupancyAtlas.valueChannel = valueChannel;
+        this.uniforms.brickResolution.value.copy(brickResolution);
+        this.uniforms.brickSize.value = brickSize;
+
+        this.updateProxyGeometry();
+    }
+
+    /**
+     * Samples new values for all the values in the 3D volume atlas.
+     * The occupancy atlas is updated for the sampled timesteps.
+     *
+     * @param {Function} sampler      - The function that returns a value for (xi, yi, zi, x, y, z, t).
+     *                                  Signature: (xi:number, yi:number, zi:number,
+     *                                         x: number, y: number, z: number, t: number) => number|number[].
+     *                                  Multi-channel atlases expect an array with one value per channel.
+     * @param {number}   [timeOffset] - The time offset where to begin updating.
+     * @param {number}   [timeCount]  - The time count to update.
+     *
+     * @returns {object} An object containing:
+     *   - minValue: The minimum value found in the updated values (across all channels).
+     *   - maxValue: The maximum value found in the updated values (across all channels).
+     */
+    updateAtlasTexture(sampler, timeOffset = null, timeCount = null) {
+        // Force texture update
+        this.uniforms.volumeAtlas.value.needsUpdate = true;
+
+        const { minValue, maxValue, start, end } = this.#sampleAtlas({
+            voxels: this.uniforms.volumeAtlas.data,
+            channelCount: this.uniforms.volumeAtlas.channelCount,
+            atlasResolution: this.uniforms.atlasResolution.value,
+            volumeResolution: this.uniforms.volumeResolution.value,
+            volumeOrigin: this.uniforms.volumeOrigin.value,
+            voxelSize: this.uniforms.voxelSize.value,
+            timeCount: this.uniforms.timeCount.value,
+        }, sampler, timeOffset, timeCount);
+
+        this.#updateOccupancyAtlas(start, end);
+
+        return {
+            minValue,
+            maxValue,
+        };
+    }
+
+    /**
+     * Recomputes the min/max value of every brick of the occupancy atlas from a new value channel,
+     * e.g. after changing the valueChannel option.
+     *
+     * @param {number} valueChannel - The atlas channel (0 to 3) used as the value, matching the valueChannel option.
+     */
+    updateOccupancyAtlasTexture(valueChannel) {
+        this.#validateValueChannel(valueChannel, this.uniforms.volumeAtlas.channelCount);
+
+        this.uniforms.occupancyAtlas.valueChannel = valueChannel;
+        this.#updateOccupancyAtlas(0, this.uniforms.timeCount.value);
+    }
+
+    /**
+     * Creates a label atlas texture sharing the layout of the current volume atlas, used to mask or tint
+     * the scan with the labelMapMode option. Call it after createAtlasTexture, which disposes of the label atlas.
+     * Labels are stored as half-precision values, which represent integers up to 2048 exactly.
+     */
+    createLabelAtlasTexture() {
+        const { texture, voxels } = this.#createAtlas(this.uniforms.volumeResolution.value,
+            this.uniforms.timeCount.value, THREE.NearestFilter, 1);
+
+        // Dispose of the old texture
+        if (this.uniforms.labelAtlas.value !== null) {
+            this.uniforms.labelAtlas.value.dispose();
+        }
+
+        this.uniforms.labelAtlas.value = texture;
+        this.uniforms.labelAtlas.data = voxels;
+    }
+
+    /**
+     * Samples new labels for all the voxels in the label atlas.
+     *
+     * @param {Function} sampler      - The function that returns an integer label for (xi, yi, zi, x, y, z, t).
+     *                                  Signature: (xi:number, yi:number, zi:number,
+     *                                         x: number, y: number, z: number, t: number) => number.
+     * @param {number}   [timeOffset] - The time offset where to begin updating.
+     * @param {number}   [timeCount]  - The time count to update.
+     *
+     * @returns {object} An object containing:
+     *   - minValue: The minimum label found in the updated labels.
+     *   - maxValue: The maximum label found in the updated labels.
+     */
+    updateLabelAtlasTexture(sampler, timeOffset = null, timeCount = null) {
+        if (this.uniforms.labelAtlas.value === null) {
+            throw new Error('The label atlas has not been created');
+        }
 
-export default class VolumeRenderer extends THREE.Mesh {
-    uniforms = {
-        depthTexture:          { value: null },
+        // Force texture update
+        this.uniforms.labelAtlas.value.needsUpdate = true;
+
+        const { minValue, maxValue } = this.#sampleAtlas({
+            voxels: this.uniforms.labelAtlas.data,
+            channelCount: 1,
+            atlasResolution: this.uniforms.atlasResolution.value,
+            volumeResolution: this.uniforms.volumeResolution.value,
+            volumeOrigin: this.uniforms.volumeOrigin.value,
+            voxelSize: this.uniforms.voxelSize.value,
+            timeCount: this.uniforms.timeCount.value,
+        }, sampler, timeOffset, timeCount);
 
-        volumeOrigin:          { value: new THREE.Vector3() },
-        volumeSize:            { value: new THREE.Vector3() },
+        return {
+            minValue,
+            maxValue,
+        };
+    }
 
-        volumeAtlas:           { value: null },
-        atlasResolution:       { value: new THREE.Vector3() },
-        volumeResolution:      { value: new THREE.Vector3() },
-        voxelSize:             { value: new THREE.Vector3() },
-        clipMin:               { value: new THREE.Vector3(-1e10, -1e10, -1e10) },
-        clipMax:               { value: new THREE.Vector3(1e10, 1e10, 1e10) },
-        timeCount:             { value: 0.0 },
+    /**
+     * Creates a gradient atlas texture sharing the layout of the current volume atlas, and precomputes the
+     * value gradients of all timesteps into it using central differences (one-sided at the borders).
+     * The useGradientAtlas option then fetches normals with a single lookup per timestep instead of
+     * three extra volume atlas samples. Call it after createAtlasTexture, which disposes of the gradient atlas,
+     * and call updateGradientAtlasTexture after updating the volume atlas.
+     * Gradients are stored per voxel as half-precision values, so they stay within range for large values.
+     *
+     * @param {number} [valueChannel=0] - The atlas channel (0 to 3) used as the value, matching the valueChannel option.
+     */
+    createGradientAtlasTexture(valueChannel = 0) {
+        this.#validateValueChannel(valueChannel, this.uniforms.volumeAtlas.channelCount);
 
-        time:                  { value: 0.0 },
-        random:                { value: 0.0 },
+        const { texture, voxels } = this.#createAtlas(this.uniforms.volumeResolution.value,
+            this.uniforms.timeCount.value, THREE.LinearFilter, 3);
 
-        normalEpsilon:         { value: 0.01 },
+        // Dispose of the old texture
+        if (this.uniforms.gradientAtlas.value !== null) {
+            this.uniforms.gradientAtlas.value.dispose();
+        }
 
-        palette:               { value: null },
-        minPaletteValue:       { value: 0.0 },
-        maxPaletteValue:       { value: 1.0 },
-        minCutoffValue:        { value: 1e-3 },
-        maxCutoffValue:        { value: 1.0 - 1e-3 },
-        cutoffFadeRange:       { value: 0.0 },
-        valueMultiplier:       { value: 1.0 },
-        valueAdded:            { value: 0.0 },
+        this.uniforms.gradientAtlas.value = texture;
+        this.uniforms.gradientAtlas.data = voxels;
+        this.uniforms.gradientAtlas.valueChannel = valueChannel;
 
-        extinctionCoefficient: { value: 1.0 },
-        extinctionMultiplier:  { value: 1.0 },
+        this.updateGradientAtlasTexture();
+    }
 
-        alphaMultiplier:       { value: 1.0 },
-    };
+    /**
+     * Recomputes the gradients of the gradient atlas from the current values of the volume atlas.
+     *
+     * @param {number} [timeOffset] - The time offset where to begin updating.
+     * @param {number} [timeCount]  - The time count to update.
+     */
+    updateGradientAtlasTexture(timeOffset = null, timeCount = null) {
+        if (this.uniforms.gradientAtlas.value === null) {
+            throw new Error('The gradient atlas has not been created');
+        }
 
-    constructor() {
-        super(new THREE.PlaneGeometry(2, 2));
+        const atlasResolution = this.uniforms.atlasResolution.value;
+        const volumeResolution = this.uniforms.volumeResolution.value;
 
-        this.name = 'VolumeRenderer';
+        // Force texture update
+        this.uniforms.gradientAtlas.value.needsUpdate = true;
 
-        // Render the volume late as it acts as a postprocessing effect
-        this.renderOrder = 1000;
+        const voxels = this.uniforms.volumeAtlas.data;
+        const gradients = this.uniforms.gradientAtlas.data;
+        const valueChannel = this.uniforms.gradientAtlas.valueChannel;
+        const textureChannelCount = this.uniforms.volumeAtlas.channelCount === 3 ? 4 : this.uniforms.volumeAtlas.channelCount;
 
-        this.updateMaterial();
+        // Calculate atlas size in voxels
+        const textureSizeX = volumeResolution.x * atlasResolution.x;
+        const textureSizeY = volumeResolution.y * atlasResolution.y;
+
+        const start = timeOffset ?? 0;
+        const count = timeCount ?? this.uniforms.timeCount.value;
+        const end = start + Math.min(count, this.uniforms.timeCount.value);
+        for (let t = start; t < end; t++) {
+            // Calculate volume X/Y/Z index from timestep
+            const volumeIndexX = t % atlasResolution.x;
+            const volumeIndexY = Math.floor(t / atlasResolution.x) % atlasResolution.y;
+            const volumeIndexZ = Math.floor(t / (atlasResolution.x * atlasResolution.y));
+
+            // Read the stored half-precision value of a voxel of the timestep
+            const getValue = (xi, yi, zi) => {
+                const xai = volumeIndexX * volumeResolution.x + xi;
+                const yai = volumeIndexY * volumeResolution.y + yi;
+                const zai = volumeIndexZ * volumeResolution.z + zi;
+                const i = xai + yai * textureSizeX + zai * textureSizeX * textureSizeY;
+                return THREE.DataUtils.fromHalfFloat(voxels[i * textureChannelCount + valueChannel]);
+            };
+
+            // Iterate voxels
+            for (let xi = 0; xi < volumeResolution.x; xi++) {
+                for (let yi = 0; yi < volumeResolution.y; yi++) {
+                    for (let zi = 0; zi < volumeResolution.z; zi++) {
+                        // Use central differences, falling back to one-sided differences at the borders
+                        const x0 = Math.max(xi - 1, 0);
+                        const x1 = Math.min(xi + 1, volumeResolution.x - 1);
+                        const y0 = Math.max(yi - 1, 0);
+                        const y1 = Math.min(yi + 1, volumeResolution.y - 1);
+                        const z0 = Math.max(zi - 1, 0);
+                        const z1 = Math.min(zi + 1, volumeResolution.z - 1);
+
+                        // The gradient is measured per voxel, and divided by the voxel size in the shader
+                        const gradientX = x1 > x0 ? (getValue(x1, yi, zi) - getValue(x0, yi, zi)) / (x1 - x0) : 0;
+                        const gradientY = y1 > y0 ? (getValue(xi, y1, zi) - getValue(xi, y0, zi)) / (y1 - y0) : 0;
+                        const gradientZ = z1 > z0 ? (getValue(xi, yi, z1) - getValue(xi, yi, z0)) / (z1 - z0) : 0;
+
+                        // Calculate voxel index within the atlas
+                        const xai = volumeIndexX * volumeResolution.x + xi;
+                        const yai = volumeIndexY * volumeResolution.y + yi;
+                        const zai = volumeIndexZ * volumeResolution.z + zi;
+                        const i = xai + yai * textureSizeX + zai * textureSizeX * textureSizeY;
+
+                        gradients[i * 4] = THREE.DataUtils.toHalfFloat(gradientX);
+                        gradients[i * 4 + 1] = THREE.DataUtils.toHalfFloat(gradientY);
+                        gradients[i * 4 + 2] = THREE.DataUtils.toHalfFloat(gradientZ);
+                    }
+                }
+            }
+        }
     }
 
     /**
-     * Creates a new shader material based on the provided options.
+     * Adds a co-registered volume which is sampled along the same rays as the primary volume
+     * and fused with it in alpha blending (see the fusionMode option).
+     * A single-channel half-precision 3D atlas texture is created for it using the same layout as createAtlasTexture.
      *
-     * @param {Object} [options={}] - An object containing configuration options.
-     * @param {string|null} [options.customFunction=null] - A custom shader function to inject into the fragment shader.
-     * @param {boolean} [options.useVolumetricDepthTest=false] - Whether to enable volumetric depth testing.
-     * @param {boolean} [options.useExtinctionCoefficient=true] - Whether to use the extinction coefficient in alpha blending.
-     * @param {boolean} [options.useValueAsExtinctionCoefficient=false] - Whether to use the sampled value as the extinction coefficient.
-     * @param {boolean} [options.usePointLights=false] - Whether to enable point lights in the scene.
-     * @param {boolean} [options.useDirectionalLights=false] - Whether to enable directional lights in the scene.
-     * @param {boolean} [options.useRandomStart=true] - Whether to randomize the ray start position to 'fuzz' sharp edges.
-     * @param {boolean} [options.renderMeanValue=false] - Whether to accumulate and render the mean value across the volume.
-     * @param {boolean} [options.invertNormals=false] - Whether to invert all surface normals.
-     * @param {boolean} [options.renderNormals=false] - Whether to render normals at the first surface hit.
-     * @param {number} [options.raySteps=64] - The number of steps to split the ray into across the volume.
+     * The palette, cutoffs and multipliers of the fused volume are edited in uniforms.fusedVolumes
+     * and uniforms.fusedPalettes at the returned index.
+     * Call updateMaterial afterwards, since the shader is compiled for a fixed number of fused volumes.
+     *
+     * The rays are extended over the fused volumes wherever they are, so a fused volume can be moved, rotated and scaled
+     * relative to the primary volume by its volumeMatrix, e.g. the inverse world matrix of an object carrying the fused volume
+     * multiplied by the world matrix of the volume renderer. Call updateProxyGeometry after changing it.
+     *
+     * Fused volumes are lit by their own gradient (or scatter the light like the primary volume) and cast and receive shadows,
+     * but share the time and extinction mode of the primary volume. They are only rendered in alpha blending, and do not support
+     * multiple channels, label maps, 2D transfer functions, emission, tricubic filtering or gradient atlases.
+     *
+     * @param {THREE.Vector3} volumeResolution - The resolution of one volume in voxels.
+     * @param {THREE.Vector3} volumeOrigin     - The local origin of the volume.
+     * @param {THREE.Vector3} voxelSize        - The physical size of a single voxel.
+     * @param {number}        timeCount        - Total number of volumes (timesteps) in the atlas.
+     * @param {number}        textureFilter    - The three.js texture interpolation mode. Defaults to THREE.LinearFilter.
+     *
+     * @returns {number} The index of the fused volume.
      */
-    updateMaterial(options = Object.create(null)) {
-        const customFunction = options.customFunction ?? null;
+    addFusedVolume(volumeResolution, volumeOrigin, voxelSize, timeCount, textureFilter = THREE.LinearFilter) {
+        const { texture, voxels, atlasResolution } = this.#createAtlas(volumeResolution, timeCount, textureFilter, 1);
+
+        this.uniforms.fusedVolumes.value.push({
+            volumeOrigin: volumeOrigin.clone(),
+            atlasResolution,
+            volumeResolution: volumeResolution.clone(),
+            voxelSize: voxelSize.clone(),
+            volumeMatrix: new THREE.Matrix4(),
+            timeCount,
+            minPaletteValue: 0.0,
+            maxPaletteValue: 1.0,
+            minCutoffValue: 1e-3,
+            maxCutoffValue: 1.0 - 1e-3,
+            valueMultiplier: 1.0,
+            valueAdded: 0.0,
+            extinctionMultiplier: 1.0,
+            alphaMultiplier: 1.0,
+        });
+        this.uniforms.fusedVolumeAtlases.value.push(texture);
+        this.uniforms.fusedVolumeAtlases.data.push(voxels);
+        this.uniforms.fusedPalettes.value.push(null);
 
-        // Defines changes how the shader is compiled
-        const defines = {
-            USE_CUSTOM_VALUE_FUNCTION: +(customFunction !== null),
-            USE_VOLUMETRIC_DEPTH_TEST: +(options.useVolumetricDepthTest ?? false),
-            RENDER_MEAN_VALUE: +(options.renderMeanValue ?? false),
-            USE_EXTINCTION_COEFFICIENT: +(options.useExtinctionCoefficient ?? true),
-            USE_VALUE_AS_EXTINCTION_COEFFICIENT: +(options.useValueAsExtinctionCoefficient ?? false),
-            USE_POINT_LIGHTS: +(options.usePointLights ?? false),
-            USE_DIR_LIGHTS: +(options.useDirectionalLights ?? false),
-            USE_RANDOM_START: +(options.useRandomStart ?? true),
-            INVERT_NORMALS: +(options.invertNormals ?? false),
-            RENDER_NORMALS: +(options.renderNormals ?? false),
-            RAY_STEPS: options.raySteps ?? 64,
-        };
+        return this.uniforms.fusedVolumes.value.length - 1;
+    }
 
-        const lights = !!defines.USE_POINT_LIGHTS || !!defines.USE_DIR_LIGHTS;
+    /**
+     * Samples new values for all the values in the 3D atlas of a fused volume.
+     *
+     * @param {number}   index        - The index of the fused volume.
+     * @param {Function} sampler      - The function that returns a value for (xi, yi, zi, x, y, z, t).
+     *                                  Signature: (xi:number, yi:number, zi:number,
+     *                                         x: number, y: number, z: number, t: number) => number.
+     * @param {number}   [timeOffset] - The time offset where to begin updating.
+     * @param {number}   [timeCount]  - The time count to update.
+     *
+     * @returns {object} An object containing:
+     *   - minValue: The minimum value found in the updated values.
+     *   - maxValue: The maximum value found in the updated values.
+     */
+    updateFusedAtlasTexture(index, sampler, timeOffset = null, timeCount = null) {
+        const fusedVolume = this.uniforms.fusedVolumes.value[index];
+        if (fusedVolume === undefined) {
+            throw new Error(`Invalid fused volume index ${index}`);
+        }
 
-        // Put together a new uniforms object referencing only the relevant uniforms
-        const uniforms = lights ? THREE.UniformsUtils.merge([THREE.UniformsLib['lights'], {}]) : {};
-        uniforms.volumeOrigin = this.uniforms.volumeOrigin;
-        uniforms.time = this.uniforms.time;
-        uniforms.random = this.uniforms.random;
-        uniforms.minCutoffValue = this.uniforms.minCutoffValue;
-        uniforms.maxCutoffValue = this.uniforms.maxCutoffValue;
-        uniforms.cutoffFadeRange = this.uniforms.cutoffFadeRange;
-        uniforms.valueMultiplier = this.uniforms.valueMultiplier;
-        uniforms.valueAdded = this.uniforms.valueAdded;
-        uniforms.clipMin = this.uniforms.clipMin;
-        uniforms.clipMax = this.uniforms.clipMax;
+        // Force texture update
+        this.uniforms.fusedVolumeAtlases.value[index].needsUpdate = true;
 
-        if (defines.RENDER_NORMALS || (!defines.RENDER_MEAN_VALUE &&
-            (defines.USE_POINT_LIGHTS || defines.USE_DIR_LIGHTS))) {
-            uniforms.normalEpsilon = this.uniforms.normalEpsilon;
-        }
+        const { minValue, maxValue } = this.#sampleAtlas({
+            ...fusedVolume,
+            voxels: this.uniforms.fusedVolumeAtlases.data[index],
+            channelCount: 1,
+        }, sampler, timeOffset, timeCount);
 
-        if (!defines.RENDER_NORMALS) {
-            uniforms.palette = this.uniforms.palette;
-            uniforms.minPaletteValue = this.uniforms.minPaletteValue;
-            uniforms.maxPaletteValue = this.uniforms.maxPaletteValue;
-            uniforms.alphaMultiplier = this.uniforms.alphaMultiplier;
-        }
+        return {
+            minValue,
+            maxValue,
+        };
+    }
 
-        if (defines.USE_VOLUMETRIC_DEPTH_TEST) {
-            uniforms.depthTexture = this.uniforms.depthTexture;
+    /**
+     * Removes a fused volume and disposes of its atlas texture.
+     * Call updateMaterial afterwards, since the shader is compiled for a fixed number of fused volumes.
+     *
+     * @param {number} index - The index of the fused volume.
+     */
+    removeFusedVolume(index) {
+        if (this.uniforms.fusedVolumes.value[index] === undefined) {
+            throw new Error(`Invalid fused volume index ${index}`);
         }
 
-        if (defines.USE_CUSTOM_VALUE_FUNCTION) {
-            uniforms.volumeSize = this.uniforms.volumeSize;
-        } else {
-            uniforms.volumeAtlas = this.uniforms.volumeAtlas;
-            uniforms.atlasResolution = this.uniforms.atlasResolution;
-            uniforms.volumeResolution = this.uniforms.volumeResolution;
-            uniforms.voxelSize = this.uniforms.voxelSize;
-            uniforms.timeCount = this.uniforms.timeCount;
+        this.uniforms.fusedVolumeAtlases.value[index].dispose();
+
+        this.uniforms.fusedVolumes.value.splice(index, 1);
+        this.uniforms.fusedVolumeAtlases.value.splice(index, 1);
+        this.uniforms.fusedVolumeAtlases.data.splice(index, 1);
+        this.uniforms.fusedPalettes.value.splice(index, 1);
+    }
+
+    /**
+     * Projects the radiance of an environment cube texture (e.g. scene.background or scene.environment)
+     * onto order 2 spherical harmonics used for image-based ambient lighting.
+     * The faces must be loaded images (or canvases), since they are read back on the CPU.
+     *
+     * @param {THREE.CubeTexture} cubeTexture - The environment cube texture.
+     * @param {number} [faceSize=64] - The resolution each face is downsampled to before the projection.
+     * @returns {THREE.SphericalHarmonics3} The spherical harmonics stored in environmentSH.
+     */
+    updateEnvironmentLighting(cubeTexture, faceSize = 64) {
+        const faces = cubeTexture.isCubeTexture ? cubeTexture.image : null;
+        if (!faces || faces.length !== 6 || faces.some(face => !face || !face.width)) {
+            throw new Error('Expected a cube texture with 6 loaded face images');
         }
 
-        if (!defines.RENDER_MEAN_VALUE) {
-            if (!defines.USE_VALUE_AS_EXTINCTION_COEFFICIENT) {
-                uniforms.extinctionCoefficient = this.uniforms.extinctionCoefficient;
+        const canvas = document.createElement('canvas');
+        canvas.width = faceSize;
+        canvas.height = faceSize;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+
+        const sh = new THREE.SphericalHarmonics3();
+        const basis = new Array(9);
+        const color = new THREE.Color();
+        const coord = new THREE.Vector3();
+        const pixelSize = 2 / faceSize;
+        let totalWeight = 0;
+
+        for (let faceIndex = 0; faceIndex < 6; faceIndex++) {
+            context.drawImage(faces[faceIndex], 0, 0, faceSize, faceSize);
+            const data = context.getImageData(0, 0, faceSize, faceSize).data;
+
+            for (let pixelIndex = 0; pixelIndex < faceSize * faceSize; pixelIndex++) {
+                // Convert the texel into the linear working color space
+                color.setRGB(data[pixelIndex * 4] / 255, data[pixelIndex * 4 + 1] / 255, data[pixelIndex * 4 + 2] / 255,
+                    cubeTexture.colorSpace);
+
+                // The direction of the texel center (following the cube map layout of three.js)
+                const col = -1 + (pixelIndex % faceSize + 0.5) * pixelSize;
+                const row = 1 - (Math.floor(pixelIndex / faceSize) + 0.5) * pixelSize;
+                switch (faceIndex) {
+                    case 0: coord.set(-1, row, -col); break;
+                    case 1: coord.set(1, row, col); break;
+                    case 2: coord.set(-col, 1, -row); break;
+                    case 3: coord.set(-col, -1, row); break;
+                    case 4: coord.set(-col, row, 1); break;
+                    case 5: coord.set(col, row, -1); break;
+                }
+
+                // Weight the texel by the solid angle it covers
+                const lengthSq = coord.lengthSq();
+                const weight = 4 / (Math.sqrt(lengthSq) * lengthSq);
+                totalWeight += weight;
+
+                THREE.SphericalHarmonics3.getBasisAt(coord.normalize(), basis);
+                for (let j = 0; j < 9; j++) {
+                    sh.coefficients[j].x += basis[j] * color.r * weight;
+                    sh.coefficients[j].y += basis[j] * color.g * weight;
+                    sh.coefficients[j].z += basis[j] * color.b * weight;
+                }
             }
-            uniforms.extinctionMultiplier = this.uniforms.extinctionMultiplier;
         }
 
-        // Dispose of the old material
-        if (this.material) {
-            this.material.dispose();
-        }
+        // Normalize the weights to the full sphere
+        sh.scale(4 * Math.PI / totalWeight);
 
-        // Create the new material
-        this.material = new THREE.ShaderMaterial({
-            vertexShader,
-            fragmentShader: defines.USE_CUSTOM_VALUE_FUNCTION ?
-                fragmentShader.replace('{function}', customFunction) : fragmentShader,
-            uniforms,
-            defines,
-            depthTest: false,
-            depthWrite: false,
-            transparent: true,
-            premultipliedAlpha: true,
-            lights,
-        });
+        this.uniforms.environmentSH.value = sh.coefficients;
+
+        return sh;
     }
 
     /**
-     * Creates a half-precision 3D atlas texture and updates the material uniforms.
-     * This function packs one or more "volumes" into a single 3D texture
-     * by stacking them along the X, Y, and Z axes in an atlas-like layout.
+     * Creates a half-precision 3D texture packing timeCount volumes in an atlas-like layout.
      *
      * @param {THREE.Vector3} volumeResolution - The resolution of one volume in voxels.
-     * @param {THREE.Vector3} volumeOrigin     - The world origin of the volume.
-     * @param {THREE.Vector3} voxelSize        - The physical size of a single voxel.
      * @param {number}        timeCount        - Total number of volumes (timesteps) in the atlas.
-     * @param {number}        textureFilter    - The three.js texture interpolation mode. Defaults to THREE.LinearFilter.
+     * @param {number}        textureFilter    - The three.js texture interpolation mode.
+     * @param {number}        channelCount     - The number of channels per voxel (1 to 4).
+     *
+     * @returns {object} An object containing:
+     *   - texture: The 3D atlas texture.
+     *   - voxels: The half-precision voxel data of the texture.
+     *   - atlasResolution: The number of volumes packed along each axis.
      */
-    createAtlasTexture(volumeResolution, volumeOrigin, voxelSize, timeCount, textureFilter = THREE.LinearFilter) {
+    #createAtlas(volumeResolution, timeCount, textureFilter, channelCount) {
+        if (!Number.isInteger(channelCount) || channelCount < 1 || channelCount > 4) {
+            throw new Error(`Invalid channel count ${channelCount}`);
+        }
+
+        // RGB half floats are padded to RGBA to keep the rows aligned
+        const textureChannelCount = channelCount === 3 ? 4 : channelCount;
+
         // Calculate how many volumes to pack into the texture atlas
         const atlasResolutionX = Math.ceil(Math.pow(timeCount, 1 / 3));
         const atlasResolutionY = atlasResolutionX;
@@ -632,13 +2920,20 @@ export default class VolumeRenderer extends THREE.Mesh {
         const textureSizeY = volumeResolution.y * atlasResolutionY;
         const textureSizeZ = volumeResolution.z * atlasResolutionZ;
 
-        // Create a Uint16Array to store all the voxels
+        // Create a Uint16Array to store all the voxel channels
         const voxelCount = textureSizeX * textureSizeY * textureSizeZ;
-        const voxels = new Uint16Array(voxelCount);
+        const voxels = new Uint16Array(voxelCount * textureChannelCount);
+        if (channelCount === 3) {
+            // Fill the padded alpha channel with ones
+            const one = THREE.DataUtils.toHalfFloat(1);
+            for (let i = 3; i < voxels.length; i += 4) {
+                voxels[i] = one;
+            }
+        }
 
         // Create the 3D texture
         const texture = new THREE.Data3DTexture(voxels, textureSizeX, textureSizeY, textureSizeZ);
-        texture.format = THREE.RedFormat;
+        texture.format = [THREE.RedFormat, THREE.RGFormat, THREE.RGBAFormat, THREE.RGBAFormat][channelCount - 1];
         texture.type = THREE.HalfFloatType;
         texture.minFilter = textureFilter;
         texture.magFilter = textureFilter;
@@ -646,74 +2941,65 @@ export default class VolumeRenderer extends THREE.Mesh {
         texture.wrapT = THREE.ClampToEdgeWrapping;
         texture.wrapR = THREE.ClampToEdgeWrapping;
 
-        // Dispose of old texture
-        if (this.uniforms.volumeAtlas.value !== null) {
-            this.uniforms.volumeAtlas.value.dispose();
-        }
-
-        // Update uniforms
-        this.uniforms.volumeAtlas.value = texture;
-        this.uniforms.volumeAtlas.data = voxels;
-        this.uniforms.atlasResolution.value.copy(atlasResolution);
-        this.uniforms.volumeResolution.value.copy(volumeResolution);
-        this.uniforms.volumeOrigin.value.copy(volumeOrigin);
-        this.uniforms.voxelSize.value.copy(voxelSize);
-        this.uniforms.timeCount.value = timeCount;
+        return {
+            texture,
+            voxels,
+            atlasResolution,
+        };
     }
 
     /**
-     * Samples new values for all the values in the 3D volume atlas.
+     * Samples values into the voxels of an atlas.
      *
-     * @param {Function} sampler      - The function that returns a value for (xi, yi, zi, x, y, z, t).
-     *                                  Signature: (xi:number, yi:number, zi:number,
-     *                                         x: number, y: number, z: number, t: number) => number.
-     * @param {number}   [timeOffset] - The time offset where to begin updating.
-     * @param {number}   [timeCount]  - The time count to update.
+     * @param {object}   atlas      - The voxels, channelCount, atlasResolution, volumeResolution,
+     *                                volumeOrigin, voxelSize and timeCount of the atlas.
+     * @param {Function} sampler    - The function that returns a value (or channel values) for (xi, yi, zi, x, y, z, t).
+     * @param {number}   timeOffset - The time offset where to begin updating, or null.
+     * @param {number}   timeCount  - The time count to update, or null.
      *
      * @returns {object} An object containing:
      *   - minValue: The minimum value found in the updated values.
      *   - maxValue: The maximum value found in the updated values.
+     *   - start: The first updated timestep.
+     *   - end: The timestep after the last updated one.
      */
-    updateAtlasTexture(sampler, timeOffset = null, timeCount = null) {
+    #sampleAtlas(atlas, sampler, timeOffset, timeCount) {
         const {
             x: atlasResolutionX,
             y: atlasResolutionY,
-            z: atlasResolutionZ,
-        } = this.uniforms.atlasResolution.value;
+        } = atlas.atlasResolution;
         const {
             x: volumeResolutionX,
             y: volumeResolutionY,
             z: volumeResolutionZ,
-        } = this.uniforms.volumeResolution.value;
+        } = atlas.volumeResolution;
         const {
             x: volumeOriginX,
             y: volumeOriginY,
             z: volumeOriginZ,
-        } = this.uniforms.volumeOrigin.value;
+        } = atlas.volumeOrigin;
         const {
             x: voxelSizeX,
             y: voxelSizeY,
             z: voxelSizeZ,
-        } = this.uniforms.voxelSize.value;
+        } = atlas.voxelSize;
 
         // Calculate atlas size in voxels
         const textureSizeX = volumeResolutionX * atlasResolutionX;
         const textureSizeY = volumeResolutionY * atlasResolutionY;
-        const textureSizeZ = volumeResolutionZ * atlasResolutionZ;
 
        // Track min/max value
         let minValue = Number.POSITIVE_INFINITY;
         let maxValue = Number.NEGATIVE_INFINITY;
 
-        // Force texture update
-        this.uniforms.volumeAtlas.value.needsUpdate = true;
-
-        const voxels = this.uniforms.volumeAtlas.data;
+        const voxels = atlas.voxels;
+        const channelCount = atlas.channelCount;
+        const textureChannelCount = channelCount === 3 ? 4 : channelCount;
 
         // Iterate timesteps
         const start = timeOffset ?? 0;
-        const count = timeCount ?? this.uniforms.timeCount.value;
-        const end = start + Math.min(count, this.uniforms.timeCount.value);
+        const count = timeCount ?? atlas.timeCount;
+        const end = start + Math.min(count, atlas.timeCount);
         for (let t = start; t < end; t++) {
             // Calculate volume X/Y/Z index from timestep
             const volumeIndexX = t % atlasResolutionX;
@@ -724,22 +3010,26 @@ export default class VolumeRenderer extends THREE.Mesh {
             for (let xi = 0; xi < volumeResolutionX; xi++) {
                 for (let yi = 0; yi < volumeResolutionY; yi++) {
                     for (let zi = 0; zi < volumeResolutionZ; zi++) {
-                        // Sample value
-                        const value = sampler(xi, yi, zi,
+                        // Sample value (or channel values)
+                        const sample = sampler(xi, yi, zi,
                             xi * voxelSizeX + volumeOriginX,
                             yi * voxelSizeY + volumeOriginY,
                             zi * voxelSizeZ + volumeOriginZ, t);
 
-                        minValue = Math.min(minValue, value);
-                        maxValue = Math.max(maxValue, value);
-
                         // Calculate voxel index within the atlas
                         const xai = volumeIndexX * volumeResolutionX + xi;
                         const yai = volumeIndexY * volumeResolutionY + yi;
                         const zai = volumeIndexZ * volumeResolutionZ + zi;
                         const i = xai + yai * textureSizeX + zai * textureSizeX * textureSizeY;
 
-                        voxels[i] = THREE.DataUtils.toHalfFloat(value);
+                        for (let c = 0; c < channelCount; c++) {
+                            const value = channelCount === 1 ? sample : sample[c];
+
+                            minValue = Math.min(minValue, value);
+                            maxValue = Math.max(maxValue, value);
+
+                            voxels[i * textureChannelCount + c] = THREE.DataUtils.toHalfFloat(value);
+                        }
                     }
                 }
             }
@@ -748,6 +3038,98 @@ export default class VolumeRenderer extends THREE.Mesh {
         return {
             minValue,
             maxValue,
+            start,
+            end,
         };
     }
+
+    /**
+     * Throws if the value channel does not exist in an atlas with the given channel count.
+     *
+     * @param {number} valueChannel - The atlas channel used as the value.
+     * @param {number} channelCount - The number of channels per voxel of the atlas.
+     */
+    #validateValueChannel(valueChannel, channelCount) {
+        // Include the padded alpha of RGB atlases, since it may also be used as the value
+        const textureChannelCount = channelCount === 3 ? 4 : channelCount;
+        if (!Number.isInteger(valueChannel) || valueChannel < 0 || valueChannel >= textureChannelCount) {
+            throw new Error(`Invalid value channel ${valueChannel} for an atlas with ${channelCount} channels`);
+        }
+    }
+
+    /**
+     * Recalculates the min/max value of every brick in the occupancy atlas.
+     * The range covers only the value channel of the occupancy atlas.
+     *
+     * @param {number} start - The first timestep to update.
+     * @param {number} end   - The timestep after the last one to update.
+     */
+    #updateOccupancyAtlas(start, end) {
+        const atlasResolution = this.uniforms.atlasResolution.value;
+        const volumeResolution = this.uniforms.volumeResolution.value;
+        const brickResolution = this.uniforms.brickResolution.value;
+        const brickSize = this.uniforms.brickSize.value;
+
+        // Force texture update
+        this.uniforms.occupancyAtlas.value.needsUpdate = true;
+
+        const voxels = this.uniforms.volumeAtlas.data;
+        const bricks = this.uniforms.occupancyAtlas.data;
+        const valueChannel = this.uniforms.occupancyAtlas.valueChannel;
+        const textureChannelCount = this.uniforms.volumeAtlas.channelCount === 3 ? 4 : this.uniforms.volumeAtlas.channelCount;
+
+        // Calculate atlas sizes in voxels and bricks
+        const textureSizeX = volumeResolution.x * atlasResolution.x;
+        const textureSizeY = volumeResolution.y * atlasResolution.y;
+        const brickTextureSizeX = brickResolution.x * atlasResolution.x;
+        const brickTextureSizeY = brickResolution.y * atlasResolution.y;
+
+        for (let t = start; t < end; t++) {
+            // Calculate volume X/Y/Z index from timestep
+            const volumeIndexX = t % atlasResolution.x;
+            const volumeIndexY = Math.floor(t / atlasResolution.x) % atlasResolution.y;
+            const volumeIndexZ = Math.floor(t / (atlasResolution.x * atlasResolution.y));
+
+            // Iterate bricks
+            for (let bxi = 0; bxi < brickResolution.x; bxi++) {
+                for (let byi = 0; byi < brickResolution.y; byi++) {
+                    for (let bzi = 0; bzi < brickResolution.z; bzi++) {
+                        let minValue = Number.POSITIVE_INFINITY;
+                        let maxValue = Number.NEGATIVE_INFINITY;
+
+                        // Include the first voxel of the next brick, since it is used when interpolating
+                        const endX = Math.min((bxi + 1) * brickSize, volumeResolution.x - 1);
+                        const endY = Math.min((byi + 1) * brickSize, volumeResolution.y - 1);
+                        const endZ = Math.min((bzi + 1) * brickSize, volumeResolution.z - 1);
+
+                        for (let xi = bxi * brickSize; xi <= endX; xi++) {
+                            for (let yi = byi * brickSize; yi <= endY; yi++) {
+                                for (let zi = bzi * brickSize; zi <= endZ; zi++) {
+                                    // Calculate voxel index within the atlas
+                                    const xai = volumeIndexX * volumeResolution.x + xi;
+                                    const yai = volumeIndexY * volumeResolution.y + yi;
+                                    const zai = volumeIndexZ * volumeResolution.z + zi;
+                                    const i = xai + yai * textureSizeX + zai * textureSizeX * textureSizeY;
+
+                                    // Use the stored half-precision value
+                                    const value = THREE.DataUtils.fromHalfFloat(voxels[i * textureChannelCount + valueChannel]);
+                                    minValue = Math.min(minValue, value);
+                                    maxValue = Math.max(maxValue, value);
+                                }
+                            }
+                        }
+
+                        // Calculate brick index within the occupancy atlas
+                        const bxai = volumeIndexX * brickResolution.x + bxi;
+                        const byai = volumeIndexY * brickResolution.y + byi;
+                        const bzai = volumeIndexZ * brickResolution.z + bzi;
+                        const i = bxai + byai * brickTextureSizeX + bzai * brickTextureSizeX * brickTextureSizeY;
+
+                        bricks[i * 2] = minValue;
+                        bricks[i * 2 + 1] = maxValue;
+                    }
+                }
+            }
+        }
+    }
 }
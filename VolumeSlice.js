@@ -0,0 +1,281 @@
+import * as THREE from './three.js/three.module.min.js';
+import { atlasShaderChunk } from './VolumeRenderer.js';
+
+// The supported slab modes (the index plus one is the SLAB_MODE define)
+const slabModes = ['mean', 'max', 'min'];
+
+const vertexShader = `
+// Transforms world-space positions into the local space of the volume renderer
+uniform mat4 volumeMatrixInverse;
+
+varying vec3 vVolumePosition;
+varying vec3 vSlabDirection;
+
+void main() {
+    // The slice is the XY plane of the mesh, and the slab extends along its Z axis
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vVolumePosition = (volumeMatrixInverse * worldPosition).xyz;
+
+    // The slab direction keeps its world-space length, so the slab thickness is measured in world units
+    vec3 slabDirection = normalize(mat3(modelMatrix) * vec3(0.0, 0.0, 1.0));
+    vSlabDirection = mat3(volumeMatrixInverse) * slabDirection;
+
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}`;
+
+const fragmentShader = `
+// Horizontal palette texture
+uniform sampler2D palette;
+// The clamped palette value range (the window)
+uniform float minPaletteValue;
+uniform float maxPaletteValue;
+// Value multiplier and added
+uniform float valueMultiplier;
+uniform float valueAdded;
+
+// The current time (fractional volume index)
+uniform float time;
+
+// The local-space origin of the volume
+uniform vec3 volumeOrigin;
+// A 3D texture atlas storing multiple volumes (with 1 to 4 channels)
+uniform sampler3D volumeAtlas;
+// The resolution of the volume atlas (number of volumes in X, Y, Z)
+uniform vec3 atlasResolution;
+// The number of voxels in a single volume
+uniform vec3 volumeResolution;
+// The physical size of a single voxel
+uniform vec3 voxelSize;
+// The number of timesteps (volumes) stored in the atlas, ignoring unused volumes
+uniform float timeCount;
+
+#if SLAB_MODE > 0
+// The world-space thickness of the slab centered on the slice
+uniform float slabThickness;
+#endif
+
+// The volume UV offsets and interpolation factor of the current time (calculated in main)
+vec3 volumeUvOffset0;
+vec3 volumeUvOffset1;
+float volumeT;
+
+${atlasShaderChunk}
+
+// Sample and interpolate the scaled value at a local position (the weight is 0 outside the volume)
+vec2 sampleWeightedValue(vec3 position) {
+    // Transform the position into voxel/UV coordinates inside the volume
+    // Assumes that the origin is centered on the first voxel
+    vec3 volumeVoxel = (position - volumeOrigin) / voxelSize;
+
+    // Positions outside the volume would sample the neighboring volumes of the atlas
+    if (any(lessThan(volumeVoxel, vec3(-0.5))) || any(greaterThan(volumeVoxel, volumeResolution - 0.5))) {
+        return vec2(0.0);
+    }
+
+    // Sample both volumes and interpolate between them
+    float value0 = texture(volumeAtlas, getAtlasUv(volumeUvOffset0, volumeVoxel, volumeResolution, atlasResolution))[VALUE_CHANNEL];
+    float value1 = texture(volumeAtlas, getAtlasUv(volumeUvOffset1, volumeVoxel, volumeResolution, atlasResolution))[VALUE_CHANNEL];
+    return vec2(mix(value0, value1, volumeT) * valueMultiplier + valueAdded, 1.0);
+}
+
+varying vec3 vVolumePosition;
+varying vec3 vSlabDirection;
+
+void main() {
+    // Calculate the volume UV offsets and interpolation factor
+    volumeT = getTimeUvOffsets(time, timeCount, atlasResolution, volumeUvOffset0, volumeUvOffset1);
+
+#if SLAB_MODE > 0
+    // Reduce the values of evenly spaced samples across the slab thickness
+ #if SLAB_MODE == 1
+    float projectedValue = 0.0;
+ #elif SLAB_MODE == 2
+    float projectedValue = -1e30;
+ #else
+    float projectedValue = 1e30;
+ #endif
+    float weightSum = 0.0;
+
+    for (int i = 0; i < SLAB_STEPS; i++) {
+        float offset = ((float(i) + 0.5) / float(SLAB_STEPS) - 0.5) * slabThickness;
+        vec2 weightedValue = sampleWeightedValue(vVolumePosition + vSlabDirection * offset);
+        if (weightedValue.y == 0.0) {
+            continue;
+        }
+
+ #if SLAB_MODE == 1
+        projectedValue += weightedValue.x;
+ #elif SLAB_MODE == 2
+        projectedValue = max(projectedValue, weightedValue.x);
+ #else
+        projectedValue = min(projectedValue, weightedValue.x);
+ #endif
+        weightSum += 1.0;
+    }
+
+ #if SLAB_MODE == 1
+    float value = projectedValue / max(weightSum, 1.0);
+ #else
+    float value = projectedValue;
+ #endif
+#else
+    vec2 weightedValue = sampleWeightedValue(vVolumePosition);
+    float value = weightedValue.x;
+    float weightSum = weightedValue.y;
+#endif
+
+    // The slice is only drawn inside the volume
+    if (weightSum == 0.0) {
+        discard;
+    }
+
+    // Apply the palette window
+    float normalizedValue = clamp((value - minPaletteValue) / (maxPaletteValue - minPaletteValue), 0.0, 1.0);
+    gl_FragColor = vec4(texture(palette, vec2(normalizedValue, 0.5)).rgb, 1.0);
+}`;
+
+/**
+ * @typedef {Object} VolumeSliceUniforms
+ *
+ * All uniforms except slabThickness and volumeMatrixInverse are shared with the VolumeRenderer passed to the constructor,
+ * so the slice follows its volume atlas, time, palette and value scaling.
+ *
+ * @property {THREE.Matrix4} volumeMatrixInverse
+ *   - The inverse world matrix of the volume renderer, updated before each render.
+ *
+ * @property {THREE.Vector3} volumeOrigin
+ *   - The local origin of the volume.
+ *
+ * @property {THREE.Data3DTexture|null} volumeAtlas
+ *   - The 3D texture containing multiple volumes arranged in an atlas.
+ *
+ * @property {THREE.Vector3} atlasResolution
+ *   - Number of volumes along each axis in the atlas.
+ *
+ * @property {THREE.Vector3} volumeResolution
+ *   - Number of voxels along each axis in a single volume.
+ *
+ * @property {THREE.Vector3} voxelSize
+ *   - The physical size of a voxel in local units.
+ *
+ * @property {number} timeCount
+ *   - Total number of volumes (timesteps) stored in the atlas.
+ *
+ * @property {number} time
+ *   - The current time as a fractional volume index.
+ *
+ * @property {THREE.Texture|null} palette
+ *   - A horizontal palette texture.
+ *
+ * @property {number} minPaletteValue
+ *   - The scaled value mapped to the start of the palette (the lower end of the window).
+ *
+ * @property {number} maxPaletteValue
+ *   - The scaled value mapped to the end of the palette (the upper end of the window).
+ *
+ * @property {number} valueMultiplier
+ *   - A multiplier applied to sampled values.
+ *
+ * @property {number} valueAdded
+ *   - A constant added to sampled values after multiplication.
+ *
+ * @property {number} slabThickness
+ *   - The world-space thickness of the slab centered on the slice.
+ *     [Active only when a slab mode is used]
+ */
+export default class VolumeSlice extends THREE.Mesh {
+    /** @type {VolumeSliceUniforms} */
+    uniforms = null;
+
+    #volumeRenderer = null;
+
+    /**
+     * Creates a planar slice through the volume atlas of a volume renderer (multiplanar reconstruction).
+     * The slice is the 1x1 XY plane of the mesh, positioned, oriented and sized by the mesh transform.
+     * Parts of the slice outside the volume are not drawn, and the slice follows the transform of the volume renderer.
+     *
+     * @param {VolumeRenderer} volumeRenderer - The volume renderer whose atlas, time and palette uniforms are shared.
+     */
+    constructor(volumeRenderer) {
+        super(new THREE.PlaneGeometry(1, 1));
+
+        this.name = 'VolumeSlice';
+
+        this.#volumeRenderer = volumeRenderer;
+
+        const shared = volumeRenderer.uniforms;
+        this.uniforms = {
+            volumeOrigin:        shared.volumeOrigin,
+            volumeAtlas:         shared.volumeAtlas,
+            atlasResolution:     shared.atlasResolution,
+            volumeResolution:    shared.volumeResolution,
+            voxelSize:           shared.voxelSize,
+            timeCount:           shared.timeCount,
+            time:                shared.time,
+            palette:             shared.palette,
+            minPaletteValue:     shared.minPaletteValue,
+            maxPaletteValue:     shared.maxPaletteValue,
+            valueMultiplier:     shared.valueMultiplier,
+            valueAdded:          shared.valueAdded,
+
+            slabThickness:       { value: 0.1 },
+            volumeMatrixInverse: { value: new THREE.Matrix4() },
+        };
+
+        this.updateMaterial();
+    }
+
+    /**
+     * Follows the world matrix of the volume renderer, which three.js updates before rendering.
+     */
+    onBeforeRender() {
+        this.uniforms.volumeMatrixInverse.value.copy(this.#volumeRenderer.matrixWorld).invert();
+    }
+
+    /**
+     * Creates a new shader material based on the provided options.
+     *
+     * @param {Object} [options={}] - An object containing configuration options.
+     * @param {string|null} [options.slabMode=null] - How the values across the slab thickness are reduced into one value:
+     *                                                'mean', 'max' (MIP) or 'min' (MinIP). A thin slice is sampled if null.
+     * @param {number} [options.slabSteps=16] - The number of samples across the slab thickness.
+     * @param {number} [options.valueChannel=0] - The atlas channel (0 to 3) used as the value.
+     */
+    updateMaterial(options = Object.create(null)) {
+        const slabMode = options.slabMode ?? null;
+        if (slabMode !== null && !slabModes.includes(slabMode)) {
+            throw new Error(`Unsupported slab mode ${slabMode}`);
+        }
+
+        // Defines changes how the shader is compiled
+        const defines = {
+            SLAB_MODE: slabModes.indexOf(slabMode) + 1,
+            SLAB_STEPS: options.slabSteps ?? 16,
+            VALUE_CHANNEL: options.valueChannel ?? 0,
+        };
+
+        if (!Number.isInteger(defines.VALUE_CHANNEL) || defines.VALUE_CHANNEL < 0 || defines.VALUE_CHANNEL > 3) {
+            throw new Error(`Invalid value channel ${defines.VALUE_CHANNEL}`);
+        }
+
+        // Put together a new uniforms object referencing only the relevant uniforms
+        const uniforms = { ...this.uniforms };
+        if (!defines.SLAB_MODE) {
+            delete uniforms.slabThickness;
+        }
+
+        // Dispose of the old material
+        if (this.material) {
+            this.material.dispose();
+        }
+
+        // Create the new material
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms,
+            defines,
+            side: THREE.DoubleSide,
+        });
+    }
+}